@@ -2,21 +2,17 @@
 // CONFIG MODULE
 // ============================================================
 import { log, moduleTag, trace, showConfig } from '../utils/utilities.js';
-import { state } from '../model/state.js'; // holds current digits
-import { setAppearance } from '../render/render.js';
+import { world } from '../model/world.js';
 
-setAppearance('flat'); // flat, ball, or bubble
-
-// Internal backing for FPS and POP_CAP
+// Internal backing for FPS
 let _FPS = 60;
-let _POP_CAP = 60;
 
 export const CONFIG = {
     // --- Movement ---
     _speed: 5,
     get speed() {
         //        return this._speed;
-        return this._speed ?? Math.min(Math.max(window.innerWidth / 500, 2), 5);
+        return this._speed ?? Math.min(Math.max(world.width / 500, 2), 5);
     },
     set speed(value) {
         this._speed = value;
@@ -24,13 +20,14 @@ export const CONFIG = {
     },
 
     // --- Lifecycle timing (seconds) ---
+    // Stage boundaries must stay in order (see setStageBoundary):
+    // juvenile < adolescence < mature < old < maxAge
     _maxAgeSec: 15, // 10-15 is ideal
     get maxAgeSec() {
         return this._maxAgeSec;
     },
     set maxAgeSec(value) {
-        this._maxAgeSec = value;
-        this.updateDerivedFrames();
+        setStageBoundary('_maxAgeSec', value);
     },
 
     _attractionRadius: null,
@@ -47,38 +44,11 @@ export const CONFIG = {
     get digitSize() {
         return (
             this._digitSize ??
-            Math.min(Math.max(window.innerWidth / 15, 30), 36)
+            Math.min(Math.max(world.width / 15, 30), 36)
         );
     },
     set digitSize(value) {
         this._digitSize = value;
-        document.documentElement.style.setProperty(
-            '--digit-size',
-            value + 'px'
-        );
-    },
-
-    // --- Population Cap ---
-    get POP_CAP() {
-        return _POP_CAP;
-    },
-    set POP_CAP(value) {
-        const oldCap = _POP_CAP;
-        _POP_CAP = value;
-
-        if (value < oldCap && state.digits.length > value) {
-            const excess = state.digits.length - value;
-            log(`POP_CAP decreased: aging ${excess} extra digits`);
-
-            // Sort digits by age ascending (youngest first)
-            const sorted = [...state.digits].sort((a, b) => a.age - b.age);
-
-            for (let i = 0; i < excess; i++) {
-                sorted[i].age = CONFIG.oldAge; // they will be killed next tick
-            }
-        }
-
-        log(`POP_CAP updated to ${value}`);
     },
 
     // --- FPS ---
@@ -95,17 +65,15 @@ export const CONFIG = {
         return this._juvenileAgeSec ?? this.maxAgeSec / 8;
     },
     set juvenileAgeSec(value) {
-        this._juvenileAgeSec = value;
-        this.updateDerivedFrames();
+        setStageBoundary('_juvenileAgeSec', value);
     },
 
     _adolescenceAgeSec: null,
     get adolescenceAgeSec() {
-        return this._adolescenceAgeSec ?? this.maxAgeSec / 5;
+        return this._adolescenceAgeSec ?? this.maxAgeSec / 7;
     },
     set adolescenceAgeSec(value) {
-        this._adolescenceAgeSec = value;
-        this.updateDerivedFrames();
+        setStageBoundary('_adolescenceAgeSec', value);
     },
 
     _matureAgeSec: null,
@@ -113,8 +81,7 @@ export const CONFIG = {
         return this._matureAgeSec ?? this.maxAgeSec / 6;
     },
     set matureAgeSec(value) {
-        this._matureAgeSec = value;
-        this.updateDerivedFrames();
+        setStageBoundary('_matureAgeSec', value);
     },
 
     _oldAgeSec: null,
@@ -122,8 +89,7 @@ export const CONFIG = {
         return this._oldAgeSec ?? this.maxAgeSec - this.maxAgeSec / 7;
     },
     set oldAgeSec(value) {
-        this._oldAgeSec = value;
-        this.updateDerivedFrames();
+        setStageBoundary('_oldAgeSec', value);
     },
     // --- Reproduction ---
     _reproCooldownSec: null,
@@ -155,6 +121,77 @@ export const CONFIG = {
 
     //
     maxAgeVariation: 0.2, // 20%
+
+    // --- Genome (see model/genome.js) ---
+    mutationRate: 0.1, // Chance per gene that a child's copy mutates
+    mutationStrength: 0.1, // Max relative change of a mutated gene (±10%)
+
+    // --- Symbol set (see model/symbols.js) ---
+    symbolSet: 'digits', // Key in SYMBOL_SETS, applies from the next epoch
+    symbolMax: 20, // N for the 'numbers' set (1-N)
+
+    // --- Offspring naming (see model/naming.js) ---
+    namingRule: 'sum', // Key in NAMING_RULES
+    namingExpression: 'a + b', // Used by the 'expression' rule
+    namingMutationRate: 0.1, // Chance the 'mother' rule picks a random name
+
+    // --- Female mate choice (see model/mateChoice.js) ---
+    matePreference: 'any', // Key in MATE_PREFERENCES
+    mateChoiceThreshold: 0.5, // Lowest score a female accepts (0-1)
+    rejectionCooldownSec: 2, // How long a rejected male stops courting
+
+    // --- Fertility and litters (see model/fertility.js) ---
+    fertilityCurve: 'flat', // Key in FERTILITY_CURVES
+    fertilityPeak: 0.3, // Peak of 'peaked' within the fertile window (0-1)
+    fertilitySpread: 0.35, // Width of the peak (fraction of the window)
+    twinChance: 0, // Chance a birth is twins
+    tripletChance: 0, // Chance a birth is triplets
+    miscarriageChance: 0, // Chance a pregnancy fails at term
+
+    // --- Pair bonds (see model/bonds.js) ---
+    bondStayChance: 0, // Chance a pair stays together after a birth
+    separationChance: 0, // Chance per second that a bond breaks
+    bondDurationSec: 0, // Bonds end after this long (0 = no limit)
+    mourningSec: 0, // How long a widowed digit stays single
+
+    // --- Kinship (see model/kinship.js) ---
+    kinshipPolicy: 'allow', // Key in KINSHIP_POLICIES
+    kinshipGenerations: 2, // Depth for the 'generations' policy (1-4)
+
+    // --- Juvenile care (see model/care.js) ---
+    fatherCare: true, // Fathers take over when the caretaker dies
+    enableAdoption: true, // Adult females adopt orphans (kin first)
+    adoptionRadius: 150, // How far an adopter can be from the orphan
+    orphanMortality: 0, // Chance per second an uncared-for juvenile dies
+
+    // --- Founders (see model/founders.js) ---
+    // One male and one female of the first symbol, near the center
+    founders: [
+        { name: '', sex: 'M', count: 1, placement: 'center', ageSec: 0 },
+        { name: '', sex: 'F', count: 1, placement: 'center', ageSec: 0 },
+    ],
+
+    // --- Population regulation (see model/population.js) ---
+    populationPolicy: 'hardCap', // Key in POPULATION_POLICIES
+    POP_CAP: 60, // Cap, carrying capacity or cull threshold, by policy
+    crowdingRadius: 60, // Neighborhood of a mother for 'crowding'
+    crowdingLimit: 8, // Neighbors at which 'crowding' stops all births
+
+    // --- Mortality (see model/mortality.js) ---
+    mortalityModel: 'none', // Key in MORTALITY_MODELS
+    baseMortality: 0.02, // Deaths per second ('gompertz': at birth)
+    mortalityDoublingSec: 2.5, // Seconds for the 'gompertz' hazard to double
+    weibullShape: 3, // 'weibull' shape k (> 1 rises with age)
+    crowdingMortality: 0, // Deaths per second at crowdingLimit neighbors
+    predationRate: 0, // Deaths per second (doubled for the young and elders)
+
+    // --- Extinction (see model/extinction.js) ---
+    extinctionPolicy: 'reset', // Key in EXTINCTION_POLICIES
+    extinctionDelaySec: 3, // Wait before 'delayedReset' starts a new epoch
+    immigrantCount: 6, // Adults arriving under 'immigrants'
+
+    // --- Numerology (see model/numerology.js) ---
+    enableNumerology: false, // Digit values shape speed, sociability, fertility, lifespan
     //
     velocityJitter: 0.6,
     directionJitter: 0.2,
@@ -172,7 +209,11 @@ export const CONFIG = {
     enableAttractor: true,
     attractorRadius: 250,
     attractorStrength: 0.1,
+    attractorMode: 'attract', // Key in ATTRACTOR_MODES (model/attractor.js)
+    attractorFilter: 'all', // Key in ATTRACTOR_FILTERS
+    attractorFilterValue: '', // Name or life stage for those filters
     showAttractorOverlay: true,
+    fieldObjects: [], // Placed attractors/repulsors (model/fieldObjects.js)
 
     // === Spring physics for bonded movement ===
     springK: 0.3, // spring stiffness
@@ -194,16 +235,119 @@ export const CONFIG = {
 // Initial calculation
 CONFIG.updateDerivedFrames();
 
-// Apply digit size to CSS
-document.documentElement.style.setProperty(
-    '--digit-size',
-    CONFIG.digitSize + 'px'
-);
+// ============================================================
+// STAGE BOUNDARIES
+// ============================================================
+
+// Life stage boundaries from first to last (model/lifecycle.js)
+const STAGE_BOUNDARY_KEYS = [
+    'juvenileAgeSec',
+    'adolescenceAgeSec',
+    'matureAgeSec',
+    'oldAgeSec',
+    'maxAgeSec',
+];
+
+/**
+ * Check that the stage boundaries are in order
+ * @returns {boolean} True if 0 < juvenile < ... < old < max age
+ */
+function stageBoundariesOrdered() {
+    const ages = STAGE_BOUNDARY_KEYS.map((key) => CONFIG[key]);
+    return ages.every((age, i) => age > (i > 0 ? ages[i - 1] : 0));
+}
+
+/**
+ * Set a stage boundary backing field if the boundaries stay in order
+ * Out-of-order values are rejected with a warning, keeping the old one
+ * @param {string} field - Backing field (e.g. '_matureAgeSec')
+ * @param {number|null} value - New value in seconds, null for default
+ * @returns {boolean} True if the value was accepted
+ */
+function setStageBoundary(field, value) {
+    const previous = CONFIG[field];
+    CONFIG[field] = value;
+
+    if (!stageBoundariesOrdered()) {
+        CONFIG[field] = previous;
+        console.warn(
+            `Rejected ${field.slice(1)} = ${value}: stage boundaries ` +
+                `must satisfy 0 < ${STAGE_BOUNDARY_KEYS.join(' < ')}`
+        );
+        return false;
+    }
+
+    CONFIG.updateDerivedFrames();
+    return true;
+}
+
+// ============================================================
+// OVERRIDES (for snapshots)
+// ============================================================
+
+// Frame counts recomputed by updateDerivedFrames, never stored
+const DERIVED_KEYS = [
+    'maxAge',
+    'juvenileAge',
+    'adolescenceAge',
+    'matureAge',
+    'oldAge',
+    'reproCooldown',
+    'gestation',
+];
+
+/**
+ * Collect every stored CONFIG value (backing fields and plain settings)
+ * Getters and derived frame counts are skipped, they follow from these
+ * @returns {Object} Plain object safe to JSON-serialize
+ */
+export function getConfigOverrides() {
+    const overrides = { FPS: _FPS };
+    const descriptors = Object.getOwnPropertyDescriptors(CONFIG);
+
+    for (const [key, desc] of Object.entries(descriptors)) {
+        if (desc.get || typeof desc.value === 'function') continue;
+        if (DERIVED_KEYS.includes(key)) continue;
+        overrides[key] = desc.value;
+    }
+
+    return overrides;
+}
+
+/**
+ * Apply values previously returned by getConfigOverrides
+ * Writes the FPS backing field directly so its setter does not
+ * recompute frame counts on every key, then recomputes them once.
+ * Stage boundaries are checked together once all are written: if a
+ * stale or edited snapshot has them out of order, all of them keep
+ * their previous values
+ * @param {Object} overrides - Saved CONFIG values
+ */
+export function applyConfigOverrides(overrides) {
+    const boundaryFields = STAGE_BOUNDARY_KEYS.map((key) => `_${key}`);
+    const previous = boundaryFields.map((field) => CONFIG[field]);
+
+    for (const [key, value] of Object.entries(overrides)) {
+        if (key === 'FPS') _FPS = value;
+        else if (key in CONFIG && !DERIVED_KEYS.includes(key)) {
+            CONFIG[key] = value;
+        }
+    }
+
+    if (!stageBoundariesOrdered()) {
+        boundaryFields.forEach((field, i) => (CONFIG[field] = previous[i]));
+        console.warn(
+            'Rejected saved stage boundaries: they must satisfy ' +
+                `0 < ${STAGE_BOUNDARY_KEYS.join(' < ')}`
+        );
+    }
+    CONFIG.updateDerivedFrames();
+}
 
 // Expose for dev/debug
-if (window.DEV) {
-    window.CONFIG = CONFIG;
-    window.showConfig = showConfig;
+if (globalThis.DEV) {
+    globalThis.CONFIG = CONFIG;
+    globalThis.showConfig = showConfig;
 }
 
 log(`[${moduleTag(import.meta)}] loaded`);
@@ -0,0 +1,241 @@
+// ============================================================
+// ATTRACTOR INPUT (Browser-only)
+// ============================================================
+// Translates mouse and touch events into attractor updates.
+// Updates this thread's attractor (drawn by render/attractorOverlay.js)
+// and mirrors it to the simulation worker when there is one.
+// Also places and drags field objects (model/fieldObjects.js): pressing
+// on an object's center drags it, pressing elsewhere drops a new one
+// when the placement tool is an object kind, and holds the pointer
+// attractor otherwise. The pointer works in CONFIG.attractorMode;
+// holding Shift repels and holding Alt makes a vortex instead.
+// ============================================================
+
+import { CONFIG } from '../config/config.js';
+import {
+    getAttractor,
+    getAttractorState,
+    setAttractorPosition,
+    activateAttractor as activateLocalAttractor,
+    deactivateAttractor as deactivateLocalAttractor,
+} from '../model/attractor.js';
+import {
+    FIELD_OBJECT_KINDS,
+    createFieldObject,
+    findFieldObjectAt,
+    getFieldObjects,
+} from '../model/fieldObjects.js';
+import { mirror } from './simulationHost.js';
+import { refreshAttractorOverlay } from '../render/attractorOverlay.js';
+import { log, moduleTag } from '../utils/utilities.js';
+
+// --- Local updates, mirrored to the engine ---
+function syncAttractor() {
+    mirror('setAttractorState', getAttractorState());
+    refreshAttractorOverlay();
+}
+
+function activateAttractor(x, y, mode) {
+    activateLocalAttractor(x, y, mode);
+    syncAttractor();
+}
+
+// --- Mode for a press: modifier keys override the configured one ---
+function modeForPress(event) {
+    if (event.shiftKey) return 'repel';
+    if (event.altKey) return 'vortex';
+    return CONFIG.attractorMode;
+}
+
+function deactivateAttractor() {
+    if (!getAttractor()) return;
+    deactivateLocalAttractor();
+    syncAttractor();
+}
+
+// --- Field objects ---
+let placementTool = 'pointer'; // 'pointer' or a key in FIELD_OBJECT_KINDS
+let dragged = null; // Field object following the pointer
+const fieldObjectListeners = new Set();
+
+export function setPlacementTool(tool) {
+    placementTool = tool in FIELD_OBJECT_KINDS ? tool : 'pointer';
+}
+
+export function getPlacementTool() {
+    return placementTool;
+}
+
+// Called with the new list whenever objects are added, edited or dropped
+export function onFieldObjectsChange(listener) {
+    fieldObjectListeners.add(listener);
+}
+
+// Replace this thread's field objects and mirror them to the engine
+export function commitFieldObjects(objects) {
+    CONFIG.fieldObjects = objects;
+    mirror('setConfig', 'fieldObjects', objects);
+    fieldObjectListeners.forEach((listener) => listener(objects));
+    refreshAttractorOverlay();
+}
+
+// --- Press on the canvas: drag, place or attract ---
+function pressAt(x, y, mode) {
+    dragged = findFieldObjectAt(x, y);
+    if (dragged) return;
+
+    if (placementTool in FIELD_OBJECT_KINDS) {
+        const obj = createFieldObject(placementTool, x, y);
+        commitFieldObjects([...getFieldObjects(), obj]);
+        return;
+    }
+
+    if (CONFIG.enableAttractor) activateAttractor(x, y, mode);
+}
+
+function dragTo(x, y) {
+    dragged.x = x;
+    dragged.y = y;
+    mirror('setConfig', 'fieldObjects', getFieldObjects());
+    refreshAttractorOverlay();
+}
+
+function release() {
+    if (dragged) {
+        dragged = null;
+        commitFieldObjects(getFieldObjects());
+    }
+    deactivateAttractor();
+}
+
+// --- Initialize attractor events ---
+export function initAttractor(canvas) {
+    const updatePosition = (clientX, clientY) => {
+        // Get canvas position
+        const rect = canvas.getBoundingClientRect();
+        const x = clientX - rect.left;
+        const y = clientY - rect.top;
+
+        if (dragged) {
+            dragTo(x, y);
+            return;
+        }
+        setAttractorPosition(x, y);
+        syncAttractor();
+    };
+
+    const isOverModal = (clientX, clientY) => {
+        // Check if the pointer is over any modal window
+        const modals = document.querySelectorAll('.modal-window');
+        for (const modal of modals) {
+            if (
+                modal.style.display !== 'flex' &&
+                modal.style.display !== 'block'
+            )
+                continue;
+            const rect = modal.getBoundingClientRect();
+            if (
+                clientX >= rect.left &&
+                clientX <= rect.right &&
+                clientY >= rect.top &&
+                clientY <= rect.bottom
+            ) {
+                return true;
+            }
+        }
+        return false;
+    };
+
+    // Menu bar, stats bar and form controls are not part of the field
+    const isOverControls = (target) =>
+        Boolean(target.closest?.('#topMenuBar, #statsBar, button, select'));
+
+    // Listen on DOCUMENT to work through modal overlays
+    // Mouse events
+    document.addEventListener('mousedown', (e) => {
+        // Don't activate if clicking on a modal or a control
+        if (isOverModal(e.clientX, e.clientY) || isOverControls(e.target)) {
+            return;
+        }
+
+        // Check if click is within canvas bounds
+        const rect = canvas.getBoundingClientRect();
+        const x = e.clientX - rect.left;
+        const y = e.clientY - rect.top;
+
+        // Only activate if click is on canvas area
+        if (x >= 0 && x <= rect.width && y >= 0 && y <= rect.height) {
+            pressAt(x, y, modeForPress(e));
+        }
+    });
+
+    document.addEventListener('mousemove', (e) => {
+        if (dragged) {
+            updatePosition(e.clientX, e.clientY);
+        } else if (getAttractor()) {
+            // Deactivate if mouse moves over a modal
+            if (isOverModal(e.clientX, e.clientY)) {
+                deactivateAttractor();
+                return;
+            }
+            updatePosition(e.clientX, e.clientY);
+        }
+    });
+
+    document.addEventListener('mouseup', release);
+
+    // Touch events
+    document.addEventListener(
+        'touchstart',
+        (e) => {
+            const touch = e.touches[0];
+
+            // Don't activate if touching a modal or a control
+            if (
+                isOverModal(touch.clientX, touch.clientY) ||
+                isOverControls(e.target)
+            ) {
+                return;
+            }
+
+            // Check if touch is within canvas bounds
+            const rect = canvas.getBoundingClientRect();
+            const x = touch.clientX - rect.left;
+            const y = touch.clientY - rect.top;
+
+            // Only activate if touch is on canvas area
+            if (x >= 0 && x <= rect.width && y >= 0 && y <= rect.height) {
+                pressAt(x, y, modeForPress(e));
+                e.preventDefault(); // Prevent scrolling
+            }
+        },
+        { passive: false }
+    );
+
+    document.addEventListener(
+        'touchmove',
+        (e) => {
+            if (dragged) {
+                const touch = e.touches[0];
+                updatePosition(touch.clientX, touch.clientY);
+                e.preventDefault(); // Prevent scrolling
+            } else if (getAttractor()) {
+                const touch = e.touches[0];
+
+                // Deactivate if touch moves over a modal
+                if (isOverModal(touch.clientX, touch.clientY)) {
+                    deactivateAttractor();
+                    return;
+                }
+
+                updatePosition(touch.clientX, touch.clientY);
+                e.preventDefault(); // Prevent scrolling
+            }
+        },
+        { passive: false }
+    );
+
+    document.addEventListener('touchend', release);
+}
+
+log(`[${moduleTag(import.meta)}] loaded`);
@@ -0,0 +1,132 @@
+// ============================================================
+// ENGINE COMMANDS
+// ============================================================
+// Everything the UI may ask of the running simulation, by name.
+// The host (control/simulationHost.js) calls these directly in
+// main-thread mode, or posts { command, args } to the simulation
+// worker, which looks them up here. Arguments and return values must
+// therefore be plain, structured-clone safe data (plus the canvas,
+// which is transferred once at start).
+// ============================================================
+
+import { state } from '../model/state.js';
+import {
+    CONFIG,
+    getConfigOverrides,
+    applyConfigOverrides,
+} from '../config/config.js';
+import { setWorldSize } from '../model/world.js';
+import { setAttractorState } from '../model/attractor.js';
+import { createSnapshot, restoreSnapshot } from '../model/snapshot.js';
+import { getSeed, setSeed } from '../utils/random.js';
+import {
+    initCanvasRenderer,
+    resizeCanvasRenderer,
+    setAppearance,
+    setVisualToggles,
+} from '../render/render.js';
+import {
+    startSimulation,
+    stopSimulation,
+    setTimeScale,
+    stepOnce,
+    redrawFrame,
+    resetSimulation,
+    reseedSimulation,
+} from './controls.js';
+import { log, moduleTag } from '../utils/utilities.js';
+
+// ============================================================
+// COMMAND TABLE
+// ============================================================
+
+export const COMMANDS = {
+    /**
+     * Attach the canvas, apply the UI's settings and start the loop
+     * @param {Object} options - Start options
+     * @param {HTMLCanvasElement|OffscreenCanvas} options.canvas - Drawing surface
+     * @param {number} options.width - World width in pixels
+     * @param {number} options.height - World height in pixels
+     * @param {number|string|null} [options.seed] - Seed (random if null)
+     * @param {Object} [options.config] - CONFIG overrides (getConfigOverrides)
+     * @param {Object} [options.visuals] - Overlay toggles (getVisualToggles)
+     * @param {string} [options.appearance] - Appearance preset name
+     * @returns {Object} { seed } actually used
+     */
+    start({ canvas, width, height, seed, config, visuals, appearance }) {
+        if (config) applyConfigOverrides(config);
+        if (visuals) setVisualToggles(visuals);
+        if (appearance) setAppearance(appearance);
+        if (seed !== undefined && seed !== null) setSeed(seed);
+
+        initCanvasRenderer(canvas);
+        COMMANDS.resizeWorld(width, height);
+        startSimulation();
+
+        return { seed: getSeed() };
+    },
+
+    resizeWorld(width, height) {
+        resizeCanvasRenderer(width, height);
+
+        // The engine only knows the world through these dimensions
+        setWorldSize(width, height);
+    },
+
+    setPaused(paused) {
+        state.paused = paused;
+    },
+
+    setTimeScale(scale) {
+        setTimeScale(scale);
+    },
+
+    stepOnce() {
+        stepOnce();
+    },
+
+    restartSimulation() {
+        stopSimulation();
+        resetSimulation();
+        startSimulation();
+        redrawFrame();
+    },
+
+    reseedSimulation(seed) {
+        return reseedSimulation(seed);
+    },
+
+    setConfig(property, value) {
+        CONFIG[property] = value;
+    },
+
+    setAttractorState(attractorState) {
+        setAttractorState(attractorState);
+    },
+
+    setAppearance(preset) {
+        return setAppearance(preset);
+    },
+
+    setVisualToggles(toggles) {
+        setVisualToggles(toggles);
+    },
+
+    createSnapshot() {
+        return createSnapshot();
+    },
+
+    /**
+     * Restore a snapshot
+     * @param {Object} snapshot - Parsed snapshot data
+     * @returns {Object} { config, seed } so the UI can mirror them
+     * @throws {Error} If the snapshot is invalid
+     */
+    restoreSnapshot(snapshot) {
+        restoreSnapshot(snapshot);
+        redrawFrame();
+        return { config: getConfigOverrides(), seed: getSeed() };
+    },
+};
+
+log(`[${moduleTag(import.meta)}] loaded`);
@@ -1,222 +1,88 @@
 // ============================================================
 // SIMULATION CONTROL (Canvas-Ready)
 // ============================================================
-// Main simulation loop and control functions including:
-// - Canvas initialization and setup
-// - Starting digit creation and initialization
-// - Simulation reset and state management
-// - Main tick loop with frame timing
-// - Digit lifecycle management (aging, death, reproduction)
-// - Simulation control (start, stop, pause)
+// Browser wrapper around the headless engine (model/simulation.js):
+// - Fixed-timestep loop with render interpolation
+// - Rendering, plus a per-frame listener for stats and overlays
+// - Simulation control (start, stop, pause, speed, single step)
+// No DOM access: the same loop runs on the main thread or inside the
+// simulation worker (see simulationWorker.js).
 // ============================================================
 
 import { state } from '../model/state.js';
-import { createDigit, killDigit } from '../model/digit.js';
 import { CONFIG } from '../config/config.js';
-import { updateAllDigits } from '../model/movement.js';
-import { createCountsObject } from '../model/state.js';
-import { reproduce } from '../model/reproduction.js';
-import { updateStats } from '../ui/stats.js';
-import {
-    applyAttractor,
-    drawAttractorDebug,
-    clearAttractorDebug,
-} from '../model/attractor.js';
+import { resetSimulation, stepSimulation } from '../model/simulation.js';
 import { log, moduleTag } from '../utils/utilities.js';
-import { renderAll } from '../render/render.js';
-import { clearAppearanceCache } from '../model/movement.js';
+import { renderAll, clearAppearanceCache } from '../render/render.js';
+
+// Engine entry points used by the UI
+export { resetSimulation, reseedSimulation } from '../model/simulation.js';
+
 // ============================================================
 // MODULE STATE
 // ============================================================
 
-// Canvas references for rendering
-let canvas = null;
-let ctx = null;
-
-// Frame timing for delta time calculations
+// Frame timing for the fixed-step accumulator
 let lastFrameTime = performance.now();
+let accumulator = 0; // Unsimulated time carried between frames (ms)
 // ADD THESE:
 // Active digits cache (recalculated once per frame)
 let frameActiveDigits = [];
 let frameActiveSet = null;
-// ============================================================
-// CONSTANTS
-// ============================================================
 
-// Initial digit positioning
-const INITIAL_SETUP = {
-    spacing: 30, // Distance between starting male and female
-    minSpeed: 0.5, // Minimum initial movement speed
-};
+// Called after every rendered frame (stats, overlays, worker messages)
+let frameListener = null;
 
-// ============================================================
-// CANVAS INITIALIZATION
-// ============================================================
-
-/**
- * Initialize canvas element and 2D rendering context
- * Must be called before simulation can start
- * @returns {Object} Object containing canvas and context references
- * @throws {Error} If canvas element is not found in DOM
- */
-export function initSimulationCanvas() {
-    canvas = document.getElementById('dslCanvas');
-    if (!canvas) {
-        throw new Error('Canvas element not found: #dslCanvas');
-    }
-
-    ctx = canvas.getContext('2d');
-
-    return { canvas, ctx };
-}
+// Frame scheduling: dedicated workers may lack requestAnimationFrame
+const requestFrame =
+    globalThis.requestAnimationFrame?.bind(globalThis) ??
+    ((callback) => setTimeout(() => callback(performance.now()), 1000 / 60));
+const cancelFrame =
+    globalThis.cancelAnimationFrame?.bind(globalThis) ?? clearTimeout;
 
 // ============================================================
-// DIGIT INITIALIZATION
+// CONSTANTS
 // ============================================================
 
-/**
- * Create a digit with initial velocity
- * Applies random direction and appropriate speed
- * @param {string} name - Digit identifier
- * @param {string} sex - Digit sex ('M' or 'F')
- * @param {number} x - Initial x position
- * @param {number} y - Initial y position
- * @returns {Object} Created and initialized digit
- */
-function createInitialDigit(name, sex, x, y) {
-    const digit = createDigit(name, sex, x, y);
-
-    // Set random initial direction
-    const angle = Math.random() * Math.PI * 2;
-    const speed = Math.max(CONFIG.speed, INITIAL_SETUP.minSpeed);
-
-    digit.dx = Math.cos(angle) * speed;
-    digit.dy = Math.sin(angle) * speed;
-    digit.followTimer = 0; // Start moving immediately
-
-    return digit;
-}
+// Fixed-timestep loop configuration
+const LOOP = {
+    maxStepsPerFrame: 5, // Catch-up limit at 1x, scaled up when fast forwarding
+};
 
-/**
- * Initialize simulation with starting male and female digits
- * Places them near center of viewport
- */
-function initStartingDigits() {
-    // Calculate center position
-    const centerX = window.innerWidth / 2;
-    const centerY = window.innerHeight / 2;
-
-    // Create initial pair slightly offset from center
-    const male = createInitialDigit(
-        '1',
-        'M',
-        centerX - INITIAL_SETUP.spacing,
-        centerY
-    );
-    const female = createInitialDigit(
-        '1',
-        'F',
-        centerX + INITIAL_SETUP.spacing,
-        centerY
-    );
-
-    // Start simulation after digits are created
-    requestAnimationFrame(() => startSimulation());
-}
+// Speed options offered in the top menu bar
+export const TIME_SCALES = [0.25, 0.5, 1, 2, 4, 10];
 
 // ============================================================
-// SIMULATION RESET
+// FRAME UTILITIES
 // ============================================================
 
 /**
- * Reset simulation to initial state
- * Clears all existing digits and creates new starting pair
- * Updates reset counter and timestamps for statistics
+ * Duration of one simulation step
+ * @returns {number} Step length in milliseconds
  */
-export function resetSimulation() {
-    // Clear all existing digits
-    state.digits = [];
-
-    // Create new starting pair
-    initStartingDigits();
-
-    // Update reset tracking (skip counter increment on first run)
-    if (state.tick > 0) {
-        state.resetCount++;
-    }
-
-    // Reset timing and statistics
-    state.resetStartTime = Date.now();
-    state.epochCumulativeCounts = createCountsObject();
+function getStepDuration() {
+    return 1000 / CONFIG.FPS;
 }
 
-// ============================================================
-// FRAME UTILITIES
-// ============================================================
-
 /**
- * Calculate frame increment for time-independent animation
- * Converts elapsed time to frame units based on target FPS
+ * Add elapsed wall time to the step accumulator
+ * Scaled by the time scale: 2x banks twice as much simulated time
  * @param {number} currentTime - Current timestamp from performance.now()
- * @returns {number} Frame increment multiplier
  */
-function calculateFrameIncrement(currentTime) {
-    const deltaSeconds = (currentTime - lastFrameTime) / 1000;
+function accumulateFrameTime(currentTime) {
+    accumulator += (currentTime - lastFrameTime) * state.timeScale;
     lastFrameTime = currentTime;
-    return deltaSeconds * CONFIG.FPS;
 }
 
-// ============================================================
-// DIGIT LIFECYCLE
-// ============================================================
-
 /**
- * Update a single digit for one frame
- * Handles aging, attractor effects, and death
- * @param {Object} digit - Digit to update
- * @param {number} frameIncrement - Time-based frame multiplier
- * @returns {boolean} True if digit was killed this frame
+ * Maximum number of steps allowed in one display frame
+ * Fast forward needs several steps per frame to reach its speed
+ * @returns {number} Step limit for the current time scale
  */
-function updateDigitLifecycle(digit, frameIncrement) {
-    // Age digit based on frame time
-    digit.age += frameIncrement;
-
-    // Apply attractor force if enabled (ADD THIS)
-    if (CONFIG.enableAttractor) {
-        applyAttractor(digit);
-    }
-
-    // Check for death from old age
-    if (digit.age > digit.maxAge) {
-        killDigit(digit);
-        return true; // Digit was killed
-    }
-
-    return false; // Digit still alive
+function getMaxStepsPerFrame() {
+    return LOOP.maxStepsPerFrame * Math.max(1, Math.ceil(state.timeScale));
 }
 
-/**
- * Update all digits in the simulation
- * Handles lifecycle, reproduction, and rendering
- * @param {number} frameIncrement - Time-based frame multiplier
- */
-function updateAllDigitsLifecycle(frameIncrement) {
-    // Create copy of array to safely iterate while modifying
-    const digitsSnapshot = [...state.digits];
-
-    // Update each digit's lifecycle
-    for (const digit of digitsSnapshot) {
-        updateDigitLifecycle(digit, frameIncrement);
-    }
-
-    // Handle reproduction for eligible pairs
-    reproduce();
-
-    // Reset simulation if all digits died
-    if (state.digits.length === 0) {
-        resetSimulation();
-    }
-}
 /////////////////////////////////////////////////////////
 /**
  * Prepare active digit data for current frame
@@ -247,45 +113,90 @@ export function getActiveSet() {
 // ============================================================
 
 /**
- * Main simulation tick - executes once per frame
- * Handles timing, updates, rendering, and loop continuation
- * @param {number} currentTime - Current timestamp from requestAnimationFrame
+ * Simulation tick - advances the engine by exactly one fixed step
+ * All lifecycle, movement and reproduction logic runs here
  */
-export function tickSimulation(currentTime = performance.now()) {
-    // Only update if simulation is running and not paused
-    if (!state.paused) {
-        state.tick++;
+export function tickSimulation() {
+    // Advance the engine (lifecycle, reproduction, movement)
+    // This modifies state.digits array - may add/remove digits
+    stepSimulation();
+}
 
-        // Calculate time-based frame increment
-        const frameIncrement = calculateFrameIncrement(currentTime);
+/**
+ * Draw the current state to the screen
+ * @param {number} alpha - Interpolation factor between the last two steps (0-1)
+ */
+function renderFrame(alpha) {
+    // Clear caches at start of frame
+    clearAppearanceCache();
 
-        // Clear caches at start of frame
-        clearAppearanceCache();
+    // Prepare frame data AFTER all modifications are complete
+    prepareFrameData();
 
-        // Update digit lifecycles (aging, death, reproduction)
-        // This modifies state.digits array - may add/remove digits
-        updateAllDigitsLifecycle(frameIncrement);
+    // Render all digits to canvas
+    renderAll(frameActiveDigits, frameActiveSet, alpha);
 
-        // Prepare frame data AFTER all modifications are complete
-        prepareFrameData();
+    // Let the host update stats and overlays
+    if (frameListener) frameListener();
+}
 
-        // Clear and draw attractor debug
-        clearAttractorDebug();
-        drawAttractorDebug();
+/**
+ * Register the function called after every rendered frame
+ * @param {Function|null} listener - Frame listener (null to remove)
+ */
+export function setFrameListener(listener) {
+    frameListener = listener;
+}
 
-        // Update digit positions and physics
-        updateAllDigits();
+/**
+ * Render the current state immediately, even while paused
+ * Used after out-of-loop changes such as a restart or snapshot restore
+ */
+export function redrawFrame() {
+    renderFrame(1);
+}
+
+/**
+ * Animation loop - executes once per display frame
+ * Runs as many fixed steps as the elapsed time allows, then renders
+ * with interpolation so motion stays smooth at any refresh rate
+ * @param {number} currentTime - Current timestamp from requestAnimationFrame
+ */
+function animationLoop(currentTime = performance.now()) {
+    // Only update if simulation is running and not paused
+    if (!state.paused) {
+        accumulateFrameTime(currentTime);
+
+        const stepDuration = getStepDuration();
+        const maxSteps = getMaxStepsPerFrame();
+        let steps = 0;
+
+        while (accumulator >= stepDuration && steps < maxSteps) {
+            tickSimulation();
+            accumulator -= stepDuration;
+            steps++;
+
+            // The step paused the engine (extinction): run no more
+            if (state.paused) {
+                accumulator = 0;
+                break;
+            }
+        }
 
-        // Update statistics UI
-        updateStats();
+        // Drop backlog we could not catch up on (e.g. background tab)
+        if (steps === maxSteps) {
+            accumulator = Math.min(accumulator, stepDuration);
+        }
 
-        // Render all digits to canvas
-        renderAll(frameActiveDigits, frameActiveSet);
+        renderFrame(accumulator / stepDuration);
+    } else {
+        // Don't bank paused time
+        lastFrameTime = currentTime;
     }
 
     // Continue animation loop if simulation is running
     if (state.running) {
-        state.animationFrameId = requestAnimationFrame(tickSimulation);
+        state.animationFrameId = requestFrame(animationLoop);
     }
 }
 
@@ -305,14 +216,39 @@ export function startSimulation() {
 
         // Create initial digits if none exist
         if (state.digits.length === 0) {
-            resetSimulation();
+            resetSimulation('init');
         }
 
         // Start animation loop
-        tickSimulation();
+        lastFrameTime = performance.now();
+        accumulator = 0;
+        animationLoop(lastFrameTime);
     }
 }
 
+/**
+ * Set the simulation speed
+ * Below 1x steps are spread over several frames (slow motion),
+ * above 1x several steps run per rendered frame (fast forward)
+ * @param {number} scale - Speed multiplier, one of TIME_SCALES
+ */
+export function setTimeScale(scale) {
+    if (!(scale > 0)) return;
+    state.timeScale = scale;
+    log(`Time scale set to ${scale}x`);
+}
+
+/**
+ * Advance exactly one simulation tick while paused
+ * Renders the result immediately so the step is visible
+ */
+export function stepOnce() {
+    if (!state.paused) return;
+
+    tickSimulation();
+    renderFrame(1);
+}
+
 /**
  * Stop the simulation
  * Cancels animation loop and resets running state
@@ -323,7 +259,7 @@ export function stopSimulation() {
 
     // Cancel pending animation frame
     if (state.animationFrameId) {
-        cancelAnimationFrame(state.animationFrameId);
+        cancelFrame(state.animationFrameId);
         state.animationFrameId = null;
     }
 }
@@ -0,0 +1,213 @@
+// ============================================================
+// SIMULATION HOST (Browser-only)
+// ============================================================
+// Runs the engine and renderer either in a dedicated worker drawing
+// to an OffscreenCanvas, or on the main thread as a fallback, and
+// gives the UI one way to talk to it in both modes:
+// - invoke(command, ...args): run an engine command (control/commands.js),
+//   resolves with its return value
+// - mirror(command, ...args): forward a change the UI already made to
+//   its own copy of CONFIG/state to the worker; nothing to do in
+//   main-thread mode, where that copy is the engine's
+// Every rendered frame reports statistics back through onFrame.
+// Simulation events from the worker are re-emitted on this thread's
+// event bus (model/events.js), so subscribers work in both modes.
+// ============================================================
+
+import { COMMANDS } from './commands.js';
+import { setFrameListener } from './controls.js';
+import { collectStats } from '../model/statistics.js';
+import { emit } from '../model/events.js';
+import { log, moduleTag } from '../utils/utilities.js';
+
+// ============================================================
+// CONSTANTS
+// ============================================================
+
+const HOST = {
+    readyTimeout: 5000, // ms to wait for the worker to load before falling back
+};
+
+// ============================================================
+// MODULE STATE
+// ============================================================
+
+let worker = null; // Simulation worker, null in main-thread mode
+let frameHandler = () => {};
+let nextRequestId = 1;
+const pendingRequests = new Map(); // request id → { resolve, reject }
+
+// ============================================================
+// FEATURE DETECTION
+// ============================================================
+
+/**
+ * Check whether this browser can render from a worker
+ * @returns {boolean} True if module workers and OffscreenCanvas are available
+ */
+export function supportsWorkerRendering() {
+    return (
+        typeof Worker !== 'undefined' &&
+        typeof OffscreenCanvas !== 'undefined' &&
+        typeof HTMLCanvasElement !== 'undefined' &&
+        'transferControlToOffscreen' in HTMLCanvasElement.prototype
+    );
+}
+
+/**
+ * Check whether the engine runs in the worker
+ * @returns {boolean} True in worker mode
+ */
+export function runsInWorker() {
+    return worker !== null;
+}
+
+// ============================================================
+// WORKER MESSAGING
+// ============================================================
+
+/**
+ * Handle a message posted by the simulation worker
+ * @param {MessageEvent} event - Worker message
+ */
+function handleWorkerMessage({ data }) {
+    if (data.type === 'frame') {
+        for (const { type, payload } of data.events) emit(type, payload);
+        frameHandler(data.stats);
+    } else if (data.type === 'result') {
+        const request = pendingRequests.get(data.id);
+        if (!request) return;
+        pendingRequests.delete(data.id);
+
+        if (data.error) request.reject(new Error(data.error));
+        else request.resolve(data.result);
+    }
+}
+
+/**
+ * Post a command to the worker and wait for its result
+ * @param {string} command - Name in COMMANDS
+ * @param {Array} args - Command arguments
+ * @param {Array} [transfer] - Objects to transfer instead of copy
+ * @returns {Promise} Resolves with the command's return value
+ */
+function request(command, args, transfer = []) {
+    const id = nextRequestId++;
+    return new Promise((resolve, reject) => {
+        pendingRequests.set(id, { resolve, reject });
+        worker.postMessage({ type: 'invoke', id, command, args }, transfer);
+    });
+}
+
+/**
+ * Create the worker and wait until its modules have loaded
+ * @param {URL|string} workerUrl - Worker script (simulationWorker.js)
+ * @returns {Promise<Worker|null>} Loaded worker, or null if it failed
+ */
+function loadWorker(workerUrl) {
+    return new Promise((resolve) => {
+        let candidate;
+        try {
+            candidate = new Worker(workerUrl, { type: 'module' });
+        } catch (err) {
+            console.warn('Simulation worker could not be created:', err);
+            resolve(null);
+            return;
+        }
+
+        const fail = (reason) => {
+            console.warn('Simulation worker failed to load:', reason);
+            candidate.terminate();
+            resolve(null);
+        };
+        const timer = setTimeout(() => fail('timeout'), HOST.readyTimeout);
+
+        candidate.addEventListener('error', (e) => {
+            clearTimeout(timer);
+            fail(e.message || e);
+        });
+        candidate.addEventListener('message', function onReady({ data }) {
+            if (data.type !== 'ready') return;
+            clearTimeout(timer);
+            candidate.removeEventListener('message', onReady);
+            resolve(candidate);
+        });
+    });
+}
+
+// ============================================================
+// PUBLIC API
+// ============================================================
+
+/**
+ * Start the engine in a worker if possible, otherwise on the main thread
+ * @param {Object} options - Start options
+ * @param {HTMLCanvasElement} options.canvas - Visible simulation canvas
+ * @param {Object} options.settings - Passed to COMMANDS.start (width, height, seed, config, ...)
+ * @param {boolean} [options.useWorker=true] - Allow worker mode
+ * @param {URL|string} [options.workerUrl] - Worker script location
+ * @param {Function} [options.onFrame] - Called with collectStats() data after each frame
+ * @returns {Promise<Object>} Result of COMMANDS.start ({ seed })
+ */
+export async function startEngine({
+    canvas,
+    settings,
+    useWorker = true,
+    workerUrl,
+    onFrame,
+}) {
+    if (onFrame) frameHandler = onFrame;
+
+    if (useWorker && workerUrl && supportsWorkerRendering()) {
+        const loaded = await loadWorker(workerUrl);
+        if (loaded) {
+            worker = loaded;
+            worker.addEventListener('message', handleWorkerMessage);
+
+            const offscreen = canvas.transferControlToOffscreen();
+            log('Simulation running in worker');
+            return request(
+                'start',
+                [{ ...settings, canvas: offscreen }],
+                [offscreen]
+            );
+        }
+    }
+
+    // Main-thread fallback
+    setFrameListener(() => frameHandler(collectStats()));
+    log('Simulation running on main thread');
+    return COMMANDS.start({ ...settings, canvas });
+}
+
+/**
+ * Run an engine command
+ * @param {string} command - Name in COMMANDS (control/commands.js)
+ * @param {...*} args - Command arguments (plain data)
+ * @returns {Promise} Resolves with the command's return value
+ */
+export function invoke(command, ...args) {
+    if (worker) return request(command, args);
+
+    try {
+        if (!COMMANDS[command]) {
+            throw new Error(`Unknown engine command: ${command}`);
+        }
+        return Promise.resolve(COMMANDS[command](...args));
+    } catch (err) {
+        return Promise.reject(err);
+    }
+}
+
+/**
+ * Forward a change already applied to this thread's CONFIG/state
+ * Fire-and-forget; a no-op in main-thread mode
+ * @param {string} command - Name in COMMANDS (control/commands.js)
+ * @param {...*} args - Command arguments (plain data)
+ */
+export function mirror(command, ...args) {
+    if (!worker) return;
+    worker.postMessage({ type: 'invoke', id: null, command, args });
+}
+
+log(`[${moduleTag(import.meta)}] loaded`);
@@ -3,10 +3,21 @@
 // ============================================================
 
 import { uiReady, setupModalManager } from './ui/ui.js';
-import { initAttractor } from './model/attractor.js';
+import { initAttractor } from './control/attractorInput.js';
+import {
+    initAttractorOverlay,
+    drawAttractorOverlay,
+} from './render/attractorOverlay.js';
 import { log, moduleTag, trace } from './utils/utilities.js';
-import { initSimulationCanvas, startSimulation } from './control/controls.js';
-import { initCanvasRenderer } from './render/render.js';
+import { startEngine, invoke } from './control/simulationHost.js';
+import { getVisualToggles, getAppearance } from './render/render.js';
+import { CONFIG, getConfigOverrides } from './config/config.js';
+import { parameterManager } from './ui/parameters.js';
+import { updateStats } from './ui/stats.js';
+import { setAppearanceStyle } from './ui/appearance.js';
+import { setupExtinctionDialog } from './ui/extinction.js';
+
+setAppearanceStyle('flat'); // flat, ball, or bubble
 
 // ============================================================
 // DETECT MOBILE
@@ -62,7 +73,7 @@ function hideLoadingScreen() {
 // ============================================================
 // CANVAS INITIALIZATION
 // ============================================================
-let canvas, ctx;
+let canvas;
 
 function initCanvas() {
     canvas = document.getElementById('dslCanvas');
@@ -72,19 +83,31 @@ function initCanvas() {
         canvas.style.position = 'fixed';
         canvas.style.top = '0';
         canvas.style.left = '0';
+        canvas.style.width = '100%';
+        canvas.style.height = '100%';
         canvas.style.zIndex = '1'; // behind UI overlays
         document.body.appendChild(canvas);
     }
-    ctx = canvas.getContext('2d');
 
-    function resizeCanvas() {
-        canvas.width = window.innerWidth;
-        canvas.height = window.innerHeight;
-    }
-    window.addEventListener('resize', resizeCanvas);
-    resizeCanvas();
+    // The drawing surface may live in the worker, so resize through the engine
+    window.addEventListener('resize', () =>
+        invoke('resizeWorld', window.innerWidth, window.innerHeight)
+    );
 
-    return { canvas, ctx };
+    return canvas;
+}
+
+// ============================================================
+// FRAME UPDATES
+// ============================================================
+
+/**
+ * Main-thread work after each rendered frame
+ * @param {Object} stats - Result of collectStats, from the engine
+ */
+function handleEngineFrame(stats) {
+    updateStats(stats);
+    drawAttractorOverlay(stats.tick);
 }
 
 // ============================================================
@@ -93,6 +116,11 @@ function initCanvas() {
 export async function init() {
     showLoadingScreen();
 
+    // --- URL OPTIONS (?seed=123, ?worker=0) ---
+    const params = new URLSearchParams(window.location.search);
+    const urlSeed = params.get('seed');
+    const useWorker = params.get('worker') !== '0';
+
     const mobile = isMobile();
 
     if (!mobile) {
@@ -104,6 +132,9 @@ export async function init() {
         log('Mobile viewer mode');
     }
 
+    // Epoch summary when the extinction policy pauses
+    setupExtinctionDialog();
+
     // Fade out everything except loader
     const contentElements = Array.from(document.body.children).filter(
         (el) => el.id !== 'warmup-loader'
@@ -111,14 +142,31 @@ export async function init() {
     contentElements.forEach((el) => (el.style.opacity = '0'));
 
     // --- CANVAS & RENDERER INITIALIZATION ---
-    initCanvas(); // create/resizes <canvas>
-    initCanvasRenderer(); // sets ctx for canvasRenderer
-    initSimulationCanvas(); // sets ctx for controls
+    initCanvas(); // create <canvas>
+    document.documentElement.style.setProperty(
+        '--digit-size',
+        CONFIG.digitSize + 'px'
+    );
 
+    initAttractorOverlay();
     initAttractor(canvas);
 
-    // --- START SIMULATION ---
-    startSimulation();
+    // --- START SIMULATION (worker with OffscreenCanvas, or main thread) ---
+    const { seed } = await startEngine({
+        canvas,
+        settings: {
+            width: window.innerWidth,
+            height: window.innerHeight,
+            seed: urlSeed,
+            config: getConfigOverrides(),
+            visuals: getVisualToggles(),
+            appearance: getAppearance(),
+        },
+        useWorker,
+        workerUrl: new URL('./simulationWorker.js', import.meta.url),
+        onFrame: handleEngineFrame,
+    });
+    parameterManager.setInputValue('seed', seed);
 
     // Warm-up animation
     let warmupTicks = 0;
@@ -2,121 +2,75 @@
 import { CONFIG } from '../config/config.js';
 import { state } from './state.js'; // for children lookup
 import { log, moduleTag } from '../utils/utilities.js';
+import { random, randomAngle } from '../utils/random.js';
+import { forEachNearby } from '../movement/spatialGrid.js';
+import { getSpeed } from './genome.js';
+import { getFieldObjects, getFieldForce } from './fieldObjects.js';
+
+// --- Modes: how the pointer moves digits in range ---
+// color (r, g, b) tints the overlay (render/attractorOverlay.js); kept
+// apart from the field object colors there
+export const ATTRACTOR_MODES = {
+    attract: { label: 'Attract', color: '255, 0, 0' },
+    repel: { label: 'Repel', color: '255, 150, 0' },
+    vortex: { label: 'Vortex', color: '160, 0, 255' },
+};
 
-// --- Debug canvas for lines ---
-let debugCtx = null;
-if (CONFIG.showAttractorOverlay) {
-    const c = document.createElement('canvas');
-    c.style.position = 'fixed';
-    c.style.left = '0';
-    c.style.top = '0';
-    c.style.pointerEvents = 'none';
-    c.width = window.innerWidth;
-    c.height = window.innerHeight;
-    c.style.zIndex = 9999;
-    document.body.appendChild(c);
-    debugCtx = c.getContext('2d');
-
-    window.addEventListener('resize', () => {
-        c.width = window.innerWidth;
-        c.height = window.innerHeight;
-    });
-}
+// --- Filters: which digits the pointer affects ---
+// value is CONFIG.attractorFilterValue (a name or a life stage)
+export const ATTRACTOR_FILTERS = {
+    all: { label: 'Everyone', matches: () => true },
+    females: { label: 'Females', matches: (d) => d.sex === 'F' },
+    males: { label: 'Males', matches: (d) => d.sex === 'M' },
+    singles: { label: 'True Singles', matches: (d) => isTrueSingle(d) },
+    name: { label: 'One Name', matches: (d, value) => d.name === value },
+    stage: {
+        label: 'One Life Stage',
+        matches: (d, value) => d.stage === value,
+    },
+};
+
+const VORTEX_PULL = 0.2; // Share of the attract pull keeping a vortex together
 
 // --- Attractor state ---
 let attractor = {
     active: false,
     x: 0,
     y: 0,
+    mode: 'attract', // Key in ATTRACTOR_MODES, chosen when pressed
 };
 
 export function getAttractor() {
     return attractor.active ? attractor : null;
 }
-// --- Draw attractor visual indicator ---
-// --- Draw attractor visual indicator with radial gradient ---
-let pulsePhase = 0;
-
-export function drawAttractorDebug() {
-    if (!debugCtx) return;
-    if (!attractor.active) return;
-
-    // Increment pulse animation
-    pulsePhase += 0.1;
-    const pulse = Math.sin(pulsePhase) * 0.5 + 0.5; // Oscillates 0-1
-
-    debugCtx.save();
-
-    // Draw outer radius circle with radial gradient
-    if (CONFIG.attractorRadius && CONFIG.attractorRadius > 0) {
-        const radiusWithPulse = CONFIG.attractorRadius + pulse * 10;
-
-        // Create radial gradient from center to edge
-        const gradient = debugCtx.createRadialGradient(
-            attractor.x,
-            attractor.y,
-            0, // Inner circle (center)
-            attractor.x,
-            attractor.y,
-            radiusWithPulse // Outer circle (edge)
-        );
-
-        // Center is more opaque, edges fade to transparent
-        gradient.addColorStop(0, `rgba(255, 0, 0, ${0.3 + pulse * 0.1})`); // Center: 30-40% opacity
-        gradient.addColorStop(0.5, `rgba(255, 0, 0, ${0.15 + pulse * 0.05})`); // Middle: 15-20% opacity
-        gradient.addColorStop(0.85, `rgba(255, 0, 0, ${0.05 + pulse * 0.02})`); // Near edge: 5-7% opacity
-        gradient.addColorStop(1, 'rgba(255, 0, 0, 0)'); // Edge: fully transparent
-
-        // Fill with gradient
-        debugCtx.beginPath();
-        debugCtx.arc(attractor.x, attractor.y, radiusWithPulse, 0, Math.PI * 2);
-        debugCtx.fillStyle = gradient;
-        debugCtx.fill();
-
-        // Optional: subtle border at the edge
-        debugCtx.strokeStyle = `rgba(255, 0, 0, ${0.15 + pulse * 0.1})`;
-        debugCtx.lineWidth = 1;
-        //debugCtx.stroke();
-    }
 
-    /*  // Draw center point with its own gradient
-    const centerSize = 10 + pulse * 3;
-    const centerGradient = debugCtx.createRadialGradient(
-        attractor.x,
-        attractor.y,
-        0,
-        attractor.x,
-        attractor.y,
-        centerSize
-    );
-    centerGradient.addColorStop(0, `rgba(255, 50, 50, ${0.8 + pulse * 0.2})`); // Bright center
-    centerGradient.addColorStop(0.7, `rgba(255, 0, 0, ${0.5 + pulse * 0.2})`); // Mid
-    centerGradient.addColorStop(1, `rgba(255, 0, 0, ${0.2 + pulse * 0.1})`); // Edge fades
-
-    debugCtx.beginPath();
-    debugCtx.arc(attractor.x, attractor.y, centerSize, 0, Math.PI * 2);
-    debugCtx.fillStyle = centerGradient;
-    debugCtx.fill();
-
-    // Crosshair for precision
-    debugCtx.strokeStyle = `rgba(255, 0, 0, ${0.6 + pulse * 0.2})`;
-    debugCtx.lineWidth = 1.5;
-
-    // Horizontal line
-    debugCtx.beginPath();
-    debugCtx.moveTo(attractor.x - 15, attractor.y);
-    debugCtx.lineTo(attractor.x + 15, attractor.y);
-    debugCtx.stroke();
-
-    // Vertical line
-    debugCtx.beginPath();
-    debugCtx.moveTo(attractor.x, attractor.y - 15);
-    debugCtx.lineTo(attractor.x, attractor.y + 15);
-    debugCtx.stroke(); */
-
-    debugCtx.restore();
+// --- Pointer input (called by the host, e.g. control/attractorInput.js) ---
+export function setAttractorPosition(x, y) {
+    attractor.x = x;
+    attractor.y = y;
+}
+
+export function activateAttractor(x, y, mode = CONFIG.attractorMode) {
+    attractor.active = true;
+    attractor.mode = mode in ATTRACTOR_MODES ? mode : 'attract';
+    setAttractorPosition(x, y);
+}
+
+export function deactivateAttractor() {
+    attractor.active = false;
+}
+
+// --- Plain copy of the pointer state (posted to the simulation worker) ---
+export function getAttractorState() {
+    return { ...attractor };
 }
-// --- True single check ---
+
+export function setAttractorState({ active, x, y, mode }) {
+    attractor.active = active;
+    attractor.mode = mode;
+    setAttractorPosition(x, y);
+}
+// --- True single check (filter 'singles') ---
 function isTrueSingle(digit) {
     if (digit.bondedTo) return false;
     if (digit.mother || digit.father) return false;
@@ -124,136 +78,17 @@ function isTrueSingle(digit) {
     return true;
 }
 
-// --- Initialize attractor events ---
-// --- Initialize attractor events ---
-export function initAttractor(canvas) {
-    if (!CONFIG.enableAttractor) return;
-
-    const updatePosition = (clientX, clientY) => {
-        // Get canvas position
-        const rect = canvas.getBoundingClientRect();
-        attractor.x = clientX - rect.left;
-        attractor.y = clientY - rect.top;
-    };
-
-    const isOverModal = (clientX, clientY) => {
-        // Check if the pointer is over any modal window
-        const modals = document.querySelectorAll('.modal-window');
-        for (const modal of modals) {
-            if (
-                modal.style.display !== 'flex' &&
-                modal.style.display !== 'block'
-            )
-                continue;
-            const rect = modal.getBoundingClientRect();
-            if (
-                clientX >= rect.left &&
-                clientX <= rect.right &&
-                clientY >= rect.top &&
-                clientY <= rect.bottom
-            ) {
-                return true;
-            }
-        }
-        return false;
-    };
-
-    // Listen on DOCUMENT to work through modal overlays
-    // Mouse events
-    document.addEventListener('mousedown', (e) => {
-        // Don't activate if clicking on a modal
-        if (isOverModal(e.clientX, e.clientY)) {
-            return;
-        }
-
-        // Check if click is within canvas bounds
-        const rect = canvas.getBoundingClientRect();
-        const x = e.clientX - rect.left;
-        const y = e.clientY - rect.top;
-
-        // Only activate if click is on canvas area
-        if (x >= 0 && x <= rect.width && y >= 0 && y <= rect.height) {
-            attractor.active = true;
-            updatePosition(e.clientX, e.clientY);
-        }
-    });
-
-    document.addEventListener('mousemove', (e) => {
-        if (attractor.active) {
-            // Deactivate if mouse moves over a modal
-            if (isOverModal(e.clientX, e.clientY)) {
-                attractor.active = false;
-                return;
-            }
-            updatePosition(e.clientX, e.clientY);
-        }
-    });
-
-    document.addEventListener('mouseup', () => {
-        attractor.active = false;
-    });
-
-    // Touch events
-    document.addEventListener(
-        'touchstart',
-        (e) => {
-            const touch = e.touches[0];
-
-            // Don't activate if touching a modal
-            if (isOverModal(touch.clientX, touch.clientY)) {
-                return;
-            }
-
-            // Check if touch is within canvas bounds
-            const rect = canvas.getBoundingClientRect();
-            const x = touch.clientX - rect.left;
-            const y = touch.clientY - rect.top;
-
-            // Only activate if touch is on canvas area
-            if (x >= 0 && x <= rect.width && y >= 0 && y <= rect.height) {
-                attractor.active = true;
-                updatePosition(touch.clientX, touch.clientY);
-                e.preventDefault(); // Prevent scrolling
-            }
-        },
-        { passive: false }
-    );
-
-    document.addEventListener(
-        'touchmove',
-        (e) => {
-            if (attractor.active) {
-                const touch = e.touches[0];
-
-                // Deactivate if touch moves over a modal
-                if (isOverModal(touch.clientX, touch.clientY)) {
-                    attractor.active = false;
-                    return;
-                }
-
-                updatePosition(touch.clientX, touch.clientY);
-                e.preventDefault(); // Prevent scrolling
-            }
-        },
-        { passive: false }
-    );
-
-    document.addEventListener('touchend', () => {
-        attractor.active = false;
-    });
-}
-
-// --- Clear debug overlay ---
-export function clearAttractorDebug() {
-    if (debugCtx)
-        debugCtx.clearRect(0, 0, window.innerWidth, window.innerHeight);
+// --- Does the active filter select this digit? ---
+function matchesFilter(digit) {
+    const filter = ATTRACTOR_FILTERS[CONFIG.attractorFilter];
+    return !filter || filter.matches(digit, CONFIG.attractorFilterValue);
 }
 
-// --- Apply attractor to a digit ---
-// --- Apply attractor to a digit ---
-export function applyAttractor(digit) {
-    if (!digit) return;
-    if (!CONFIG.enableAttractor || !attractor.active) return;
+// --- Push of the pointer attractor on a digit, by mode ---
+// Returns { fx, fy }, or null when the digit is out of range or filtered
+function getPointerForce(digit) {
+    if (!CONFIG.enableAttractor || !attractor.active) return null;
+    if (!matchesFilter(digit)) return null;
 
     // Calculate distance to attractor
     const dx = attractor.x - digit.x;
@@ -261,7 +96,7 @@ export function applyAttractor(digit) {
     const distance = Math.sqrt(dx * dx + dy * dy);
 
     // Skip if distance is zero (already at attractor position)
-    if (distance < 0.1) return;
+    if (distance < 0.1) return null;
 
     // Check radius limit if configured (0 or undefined means unlimited)
     if (
@@ -269,7 +104,7 @@ export function applyAttractor(digit) {
         CONFIG.attractorRadius > 0 &&
         distance > CONFIG.attractorRadius
     ) {
-        return;
+        return null;
     }
 
     // Calculate distance factor for falloff
@@ -279,6 +114,46 @@ export function applyAttractor(digit) {
     const distanceFactor = 1 - normalizedDist * normalizedDist; // Quadratic falloff
 
     const spring = CONFIG.attractorStrength || 0.09;
+    const pull = spring * distanceFactor;
+
+    switch (attractor.mode) {
+        case 'repel': {
+            // Strongest near the pointer, gone at the edge
+            const push = ((effectiveRadius - distance) / distance) * pull;
+            return { fx: -dx * push, fy: -dy * push };
+        }
+        case 'vortex':
+            // Tangential swirl with a slight pull toward the center
+            return {
+                fx: (-dy + dx * VORTEX_PULL) * pull,
+                fy: (dx + dy * VORTEX_PULL) * pull,
+            };
+        default:
+            return {
+                fx: dx * spring * distanceFactor,
+                fy: dy * spring * distanceFactor,
+            };
+    }
+}
+
+// --- Apply attractor and field objects to a digit ---
+// Forces of the pointer and every field object in range are summed
+export function applyAttractor(digit) {
+    if (!digit) return;
+
+    let fx = 0;
+    let fy = 0;
+    let inRange = false;
+    for (const force of [
+        getPointerForce(digit),
+        ...getFieldObjects().map((obj) => getFieldForce(obj, digit)),
+    ]) {
+        if (!force) continue;
+        fx += force.fx;
+        fy += force.fy;
+        inRange = true;
+    }
+    if (!inRange) return;
 
     // Store original velocity to preserve natural movement
     const originalDx = digit.dx || 0;
@@ -287,14 +162,14 @@ export function applyAttractor(digit) {
         originalDx * originalDx + originalDy * originalDy
     );
 
-    // Apply spring pull (additive, not replacing)
-    digit.dx = originalDx + dx * spring * distanceFactor;
-    digit.dy = originalDy + dy * spring * distanceFactor;
+    // Apply the summed pull (additive, not replacing)
+    digit.dx = originalDx + fx;
+    digit.dy = originalDy + fy;
 
     // Small jitter for perpetual wobble
     const jitter = 0.01;
-    digit.dx += (Math.random() - 0.5) * jitter;
-    digit.dy += (Math.random() - 0.5) * jitter;
+    digit.dx += (random() - 0.5) * jitter;
+    digit.dy += (random() - 0.5) * jitter;
 
     // Apply gentle damping (less aggressive)
     const damping = 0.96; // Reduced from 0.98 - less velocity loss
@@ -303,7 +178,7 @@ export function applyAttractor(digit) {
 
     // Ensure minimum velocity to prevent digits from getting "stuck"
     const currentSpeed = Math.sqrt(digit.dx * digit.dx + digit.dy * digit.dy);
-    const minSpeed = CONFIG.speed * 0.1; // 10% of normal speed minimum
+    const minSpeed = getSpeed(digit) * 0.1; // 10% of normal speed minimum
 
     if (currentSpeed < minSpeed && originalSpeed > 0) {
         // Restore some of the original direction if we've slowed too much
@@ -313,7 +188,7 @@ export function applyAttractor(digit) {
     }
 
     // Max speed limiter
-    const maxSpeed = CONFIG.speed * 1.5; // Allow 150% of normal speed
+    const maxSpeed = getSpeed(digit) * 1.5; // Allow 150% of normal speed
     const finalSpeed = Math.sqrt(digit.dx * digit.dx + digit.dy * digit.dy);
     if (finalSpeed > maxSpeed) {
         digit.dx = (digit.dx / finalSpeed) * maxSpeed;
@@ -323,10 +198,36 @@ export function applyAttractor(digit) {
     // Final safety check: never let velocity reach absolute zero
     if (Math.abs(digit.dx) < 0.01 && Math.abs(digit.dy) < 0.01) {
         // Give a tiny random velocity
-        const angle = Math.random() * Math.PI * 2;
+        const angle = randomAngle();
         digit.dx = Math.cos(angle) * minSpeed;
         digit.dy = Math.sin(angle) * minSpeed;
     }
 }
 
+// --- Apply attractor and field objects to every digit in range ---
+// Uses the spatial grid when the radius is limited; an unlimited
+// pointer radius (0) still has to visit every digit. Digits in range
+// of several sources are collected once, in the order first visited
+export function applyAttractorToAll() {
+    const pointerActive = CONFIG.enableAttractor && attractor.active;
+    const objects = getFieldObjects();
+    if (!pointerActive && objects.length === 0) return;
+
+    if (pointerActive && !(CONFIG.attractorRadius > 0)) {
+        state.digits.forEach((digit) => applyAttractor(digit));
+        return;
+    }
+
+    const inRange = new Set();
+    const collect = (digit) => inRange.add(digit);
+    if (pointerActive) {
+        const radius = CONFIG.attractorRadius;
+        forEachNearby(attractor.x, attractor.y, radius, collect);
+    }
+    for (const obj of objects) {
+        forEachNearby(obj.x, obj.y, obj.radius, collect);
+    }
+    inRange.forEach((digit) => applyAttractor(digit));
+}
+
 log(`[${moduleTag(import.meta)}] loaded`);
@@ -0,0 +1,199 @@
+// ============================================================
+// BONDS MODULE
+// ============================================================
+// Pair bonds between a male and a female:
+// - A bond forms when a courting male is accepted and the pair
+//   conceives (model/movement.js)
+// - After each birth (or miscarriage) the pair stays together with
+//   CONFIG.bondStayChance, otherwise they separate as before
+// - A pair that stays conceives again once CONFIG.reproCooldown has
+//   passed, following the fertility curve (model/fertility.js)
+// - Bonds can break at any time with CONFIG.separationChance per
+//   second, and always end after CONFIG.bondDurationSec (0 = no limit)
+// - When a partner dies, the survivor is widowed and mourns for
+//   CONFIG.mourningSec before courting again
+// Bond fields on each partner: bondedToId, bondedSince (tick the bond
+// formed), bondChildren (births in this bond), partnerIds (distinct
+// partners ever), mourningUntil (tick).
+// ============================================================
+
+import { CONFIG } from '../config/config.js';
+import { state } from './state.js';
+import { emit, EVENTS } from './events.js';
+import { getFertility } from './genome.js';
+import { conceives } from './fertility.js';
+import { random } from '../utils/random.js';
+import { log, moduleTag } from '../utils/utilities.js';
+
+// ============================================================
+// FORMING AND ENDING BONDS
+// ============================================================
+
+/**
+ * Start a pregnancy, shortened by the pair's fertility
+ * @param {Object} male - Father
+ * @param {Object} female - Mother
+ */
+function startGestation(male, female) {
+    const fertility = (getFertility(male) + getFertility(female)) / 2;
+    female.gestationTimer = Math.max(
+        1,
+        Math.round(CONFIG.gestation / fertility)
+    );
+}
+
+/**
+ * Remember a partner for the monogamous/serial statistics
+ * @param {Object} d - Digit
+ * @param {Object} partner - New partner
+ */
+function recordPartner(d, partner) {
+    if (!d.partnerIds) d.partnerIds = [];
+    if (!d.partnerIds.includes(partner.id)) d.partnerIds.push(partner.id);
+}
+
+/**
+ * Create a bonded pair between male and female
+ * Initiates gestation period for female
+ * @param {Object} male - Male digit
+ * @param {Object} female - Female digit
+ */
+export function createBond(male, female) {
+    male.bondedTo = female;
+    female.bondedTo = male;
+    male.bondedSince = female.bondedSince = state.tick;
+    male.bondChildren = female.bondChildren = 0;
+    recordPartner(male, female);
+    recordPartner(female, male);
+    startGestation(male, female);
+
+    emit(EVENTS.BOND, {
+        tick: state.tick,
+        maleId: male.id,
+        femaleId: female.id,
+    });
+}
+
+/**
+ * Break a bond between two living partners
+ * @param {Object} male - Male digit
+ * @param {Object} female - Female digit
+ * @param {string} reason - 'birth', 'separation' or 'expired'
+ */
+export function separate(male, female, reason) {
+    male.bondedTo = null;
+    female.bondedTo = null;
+    male.bondedSince = female.bondedSince = null;
+
+    // Parting after a birth is routine; only other splits are breakups
+    if (reason === 'birth') state.epochStats.birthPartings++;
+    else state.epochStats.separations++;
+
+    emit(EVENTS.SEPARATION, {
+        tick: state.tick,
+        maleId: male.id,
+        femaleId: female.id,
+        reason,
+    });
+}
+
+/**
+ * Widow the partner of a dying digit
+ * Called by killDigit before the dead digit is unregistered
+ * @param {Object} d - Dying digit
+ */
+export function widowPartner(d) {
+    const partner = d.bondedTo;
+    if (!partner || partner.bondedToId !== d.id) return;
+
+    partner.bondedTo = null;
+    partner.bondedSince = null;
+    partner.mourningUntil =
+        state.tick + Math.round(CONFIG.mourningSec * CONFIG.FPS);
+    state.epochStats.widowed++;
+}
+
+/**
+ * Check if a digit is still mourning a dead partner
+ * @param {Object} d - Digit
+ * @returns {boolean} True while mourning
+ */
+export function isMourning(d) {
+    return state.tick < (d.mourningUntil ?? 0);
+}
+
+// ============================================================
+// BOND LIFECYCLE
+// ============================================================
+
+/**
+ * Decide whether a pair stays together after a birth or miscarriage
+ * @param {Object} male - Father
+ * @param {Object} female - Mother
+ * @param {number} children - Children born this time (0 on miscarriage)
+ */
+export function afterBirth(male, female, children) {
+    male.lastRepro = state.tick;
+    female.lastRepro = state.tick;
+    male.bondChildren = (male.bondChildren ?? 0) + children;
+    female.bondChildren = (female.bondChildren ?? 0) + children;
+
+    // No random draw at 0, so runs match the one-child-per-bond rule
+    const stays =
+        CONFIG.bondStayChance > 0 && random() < CONFIG.bondStayChance;
+    if (!stays) separate(male, female, 'birth');
+}
+
+/**
+ * Age every bond by one step: separations, expiry and new pregnancies
+ * Iterates females so each bond is handled once
+ */
+export function updateBonds() {
+    const maxDuration = CONFIG.bondDurationSec * CONFIG.FPS;
+    const separationPerStep = CONFIG.separationChance / CONFIG.FPS;
+
+    for (const female of [...state.digits]) {
+        if (female.sex !== 'F' || !female.bondedTo) continue;
+        const male = female.bondedTo;
+
+        // Pregnancies always run to term
+        if (female.gestationTimer > 0) continue;
+
+        const bondAge = state.tick - female.bondedSince;
+        if (maxDuration > 0 && bondAge >= maxDuration) {
+            separate(male, female, 'expired');
+        } else if (separationPerStep > 0 && random() < separationPerStep) {
+            separate(male, female, 'separation');
+        } else if (
+            state.tick - female.lastRepro >= CONFIG.reproCooldown &&
+            conceives(female, male)
+        ) {
+            startGestation(male, female);
+        }
+    }
+}
+
+// ============================================================
+// STATISTICS
+// ============================================================
+
+/**
+ * Count living digits by how many partners they have had
+ * @returns {Object} { bonded, monogamous, serial }
+ */
+export function collectBondStats() {
+    let bonded = 0;
+    let monogamous = 0;
+    let serial = 0;
+
+    for (const d of state.digits) {
+        if (d.bondedTo) bonded++;
+        const partners = d.partnerIds?.length ?? 0;
+        if (partners === 1) monogamous++;
+        else if (partners > 1) serial++;
+    }
+
+    return { bonded: bonded / 2, monogamous, serial };
+}
+
+log(`[${moduleTag(import.meta)}] loaded`);
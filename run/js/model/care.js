@@ -0,0 +1,200 @@
+// ============================================================
+// CARE MODULE
+// ============================================================
+// Who looks after juveniles until adolescence:
+// - Every newborn's caretaker (caretakerId) is its mother; juveniles
+//   orbit their caretaker (model/movement.js)
+// - When a caretaker dies, the father takes over if CONFIG.fatherCare
+//   is on and he is alive
+// - Otherwise, with CONFIG.enableAdoption, an adult female within
+//   CONFIG.adoptionRadius adopts the orphan, closest relatives first
+//   (model/kinship.js), then the nearest. Orphans nobody adopts keep
+//   looking every step
+// - A juvenile without caretaker dies with CONFIG.orphanMortality per
+//   second (cause 'orphaned')
+// - On entering adolescence (model/lifecycle.js) a juvenile leaves its
+//   caretaker
+// Each handover emits an ADOPTION event (after the caretaker's DEATH).
+// Caretakers list their wards in wardIds so a death only visits the
+// juveniles in their care.
+// ============================================================
+
+import { CONFIG } from '../config/config.js';
+import { state } from './state.js';
+import { emit, EVENTS } from './events.js';
+import { getDigitById } from './registry.js';
+import { getRelatedness } from './kinship.js';
+import { isAdult, isDependent, onEnterStage } from './lifecycle.js';
+import { forEachNearby } from '../movement/spatialGrid.js';
+import { distance } from '../utils/helpers.js';
+import { random } from '../utils/random.js';
+import { log, moduleTag } from '../utils/utilities.js';
+
+// ============================================================
+// WARDS
+// ============================================================
+
+/**
+ * Check if a digit still needs a caretaker
+ * @param {Object} d - Digit
+ * @returns {boolean} True for infants and juveniles
+ */
+export function needsCare(d) {
+    return isDependent(d);
+}
+
+/**
+ * Put a juvenile in someone's care
+ * @param {Object} child - Juvenile digit
+ * @param {Object} caretaker - New caretaker
+ */
+export function assignCaretaker(child, caretaker) {
+    child.caretaker = caretaker;
+    child.orphaned = false;
+    if (!caretaker.wardIds) caretaker.wardIds = [];
+    caretaker.wardIds.push(child.id);
+}
+
+/**
+ * Check if a juvenile has lost its caretaker
+ * Founders never had one and are not orphans
+ * @param {Object} d - Digit
+ * @returns {boolean} True for uncared-for juveniles
+ */
+export function isOrphan(d) {
+    return Boolean(d.orphaned) && needsCare(d);
+}
+
+// ============================================================
+// HANDOVER
+// ============================================================
+
+/**
+ * Find an adult female to adopt a juvenile, closest kin first
+ * @param {Object} child - Orphaned juvenile
+ * @returns {Object|null} Adopter, or null if nobody is in range
+ */
+function findAdopter(child) {
+    let best = null;
+    let bestRelatedness = -1;
+    let bestDistance = Infinity;
+
+    forEachNearby(child.x, child.y, CONFIG.adoptionRadius, (candidate) => {
+        if (candidate === child || candidate.sex !== 'F') return;
+        if (!isAdult(candidate)) return;
+
+        const dist = distance(child, candidate);
+        if (dist > CONFIG.adoptionRadius) return;
+
+        const relatedness = getRelatedness(child, candidate);
+        if (
+            relatedness > bestRelatedness ||
+            (relatedness === bestRelatedness && dist < bestDistance)
+        ) {
+            best = candidate;
+            bestRelatedness = relatedness;
+            bestDistance = dist;
+        }
+    });
+
+    return best;
+}
+
+/**
+ * Hand a juvenile to a new caretaker and announce it
+ * @param {Object} child - Juvenile digit
+ * @param {Object} caretaker - New caretaker
+ * @param {string} kind - 'father' or 'adoption'
+ * @param {number|null} previousId - Former caretaker ID
+ */
+function handOver(child, caretaker, kind, previousId) {
+    assignCaretaker(child, caretaker);
+    state.epochStats.adoptions++;
+
+    emit(EVENTS.ADOPTION, {
+        tick: state.tick,
+        childId: child.id,
+        caretakerId: caretaker.id,
+        previousId,
+        kind,
+        relatedness: getRelatedness(child, caretaker),
+    });
+}
+
+/**
+ * Find new care for one juvenile: father first, then adoption
+ * @param {Object} child - Juvenile digit without caretaker
+ * @param {number|null} previousId - Former caretaker ID
+ */
+function rehome(child, previousId) {
+    const father = child.father;
+    if (CONFIG.fatherCare && father && father.id !== previousId) {
+        handOver(child, father, 'father', previousId);
+        return;
+    }
+
+    const adopter = CONFIG.enableAdoption ? findAdopter(child) : null;
+    if (adopter) {
+        handOver(child, adopter, 'adoption', previousId);
+        return;
+    }
+
+    child.caretaker = null;
+    child.orphaned = true;
+}
+
+/**
+ * Rehome the juveniles of a dying caretaker
+ * Called by killDigit once the caretaker is unregistered, so it
+ * cannot adopt its own wards
+ * @param {Object} d - Dying digit
+ */
+export function releaseWards(d) {
+    for (const id of d.wardIds ?? []) {
+        const child = getDigitById(id);
+        if (!child || child.caretakerId !== d.id) continue;
+        if (needsCare(child)) rehome(child, d.id);
+        else child.caretaker = null;
+    }
+    d.wardIds = [];
+}
+
+/**
+ * Let a digit go from its caretaker as it enters adolescence
+ * @param {Object} d - Digit entering adolescence
+ */
+function leaveCaretaker(d) {
+    const caretaker = d.caretaker;
+    if (caretaker?.wardIds) {
+        caretaker.wardIds = caretaker.wardIds.filter((id) => id !== d.id);
+    }
+    d.caretaker = null;
+    d.orphaned = false;
+}
+
+onEnterStage('adolescent', leaveCaretaker);
+
+// ============================================================
+// PER-STEP CARE
+// ============================================================
+
+/**
+ * Orphan penalty and adoption retries for one juvenile
+ * The caller kills the digit (cause 'orphaned') when this returns true
+ * @param {Object} d - Digit
+ * @returns {boolean} True if the orphan died this step
+ */
+export function updateCare(d) {
+    if (!isOrphan(d)) return false;
+
+    const mortalityPerStep = CONFIG.orphanMortality / CONFIG.FPS;
+    if (mortalityPerStep > 0 && random() < mortalityPerStep) return true;
+
+    if (CONFIG.enableAdoption) {
+        const adopter = findAdopter(d);
+        if (adopter) handOver(d, adopter, 'adoption', null);
+    }
+    return false;
+}
+
+log(`[${moduleTag(import.meta)}] loaded`);
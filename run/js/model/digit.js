@@ -5,75 +5,224 @@
 import { log, moduleTag, trace } from '../utils/utilities.js';
 import { state } from './state.js';
 import { updateDigitPosition } from './movement.js';
-import { updateDigitAppearance } from '../render/render.js';
-import { NUMEROLOGY, applyNumerologyTraits } from './numerology.js';
+import { applyNumerologyTraits } from './numerology.js';
 import { CONFIG } from '../config/config.js';
+import { random, randomAngle } from '../utils/random.js';
+import { createFounderGenome, inheritGenome, getSpeed } from './genome.js';
+import {
+    getDigitById,
+    isRegistered,
+    nextDigitId,
+    registerDigit,
+    unregisterDigit,
+} from './registry.js';
+import { emit, EVENTS } from './events.js';
+import { symbolValue } from './symbols.js';
+import { widowPartner } from './bonds.js';
+import { createAncestry, getInbreedingCoefficient } from './kinship.js';
+import { assignCaretaker, releaseWards } from './care.js';
+import { LIFE_STAGES, getGrowth } from './lifecycle.js';
+import { recordDeath } from './mortality.js';
 
 console.log('CONFIG in digit.js');
 
+// ================================
+// RELATIONSHIP ACCESSORS
+// ================================
+// Digits store relationships as IDs (motherId, bondedToId, childIds, ...).
+// The accessors below resolve them through the registry, so
+// d.mother / d.bondedTo keep working and return null once the other
+// digit has died.
+
+// Accessor name → backing ID field
+export const REFERENCE_ID_FIELDS = {
+    mother: 'motherId',
+    father: 'fatherId',
+    bondedTo: 'bondedToId',
+    attractionTarget: 'attractionTargetId',
+    caretaker: 'caretakerId',
+};
+
+const DIGIT_PROTOTYPE = {
+    /** Live children (dead ones are skipped) */
+    get children() {
+        return this.childIds.map(getDigitById).filter(Boolean);
+    },
+    set children(list) {
+        this.childIds = list.map((c) => c.id);
+    },
+};
+
+for (const [field, idField] of Object.entries(REFERENCE_ID_FIELDS)) {
+    Object.defineProperty(DIGIT_PROTOTYPE, field, {
+        get() {
+            return getDigitById(this[idField]);
+        },
+        set(other) {
+            this[idField] = other ? other.id : null;
+        },
+    });
+}
+
+/**
+ * Create a digit object from plain data (no registration)
+ * Used by snapshot restore to rebuild digits with their accessors
+ * @param {Object} data - Own digit fields
+ * @returns {Object} Digit object
+ */
+export function hydrateDigit(data) {
+    return Object.assign(Object.create(DIGIT_PROTOTYPE), data);
+}
+
 export function createDigit(name, sex, x, y, speedFactor = 1, mother, father) {
     const variation = CONFIG.maxAge * (CONFIG.maxAgeVariation ?? 0.2); // ±20% default
-    const delta = (Math.random() * 2 - 1) * variation;
+    const delta = (random() * 2 - 1) * variation;
+
+    // Children inherit from both parents, founders start neutral
+    const genome =
+        mother && father
+            ? inheritGenome(mother, father)
+            : createFounderGenome();
 
-    const angle = Math.random() * 2 * Math.PI;
-    const digit = {
+    const angle = randomAngle();
+    const digit = hydrateDigit({
+        id: nextDigitId(),
         name,
         sex,
         x,
         y,
-        dx: mother ? 0 : Math.cos(angle) * CONFIG.speed * speedFactor,
-        dy: mother ? 0 : Math.sin(angle) * CONFIG.speed * speedFactor,
+        prevX: x, // Position before the current step (render interpolation)
+        prevY: y,
+        dx: 0,
+        dy: 0,
         age: 0,
-        maxAge: CONFIG.maxAge + delta,
+        maxAge: (CONFIG.maxAge + delta) * genome.lifespan,
+        genome,
         lastRepro: -Infinity,
         element: null, // <-- NO DOM element
-        bondedTo: null,
+        bondedToId: null,
+        bondedSince: null, // Tick the current bond formed
+        bondChildren: 0, // Children born in the current bond
+        partnerIds: [], // Distinct partners ever bonded with
+        mourningUntil: 0, // Tick until which a widowed digit stays single
+        attractionTargetId: null,
         gestationTimer: 0,
-        mother,
-        father,
-        children: [], // <-- new array to track children
-    };
+        rejectedUntil: 0, // Tick until which a rejected male stops courting
+        nextConceptionTick: 0, // Tick of the next try after failing to conceive
+        rejectedById: null,
+        stage: LIFE_STAGES[0], // Life stage (model/lifecycle.js)
+        motherId: mother ? mother.id : null,
+        fatherId: father ? father.id : null,
+        childIds: [],
+        caretakerId: null, // Who a juvenile orbits (model/care.js)
+        orphaned: false, // Lost its caretaker and nobody took over
+        wardIds: [], // Juveniles in this digit's care
+        ancestry: createAncestry(mother, father), // Ancestor IDs (kinship.js)
+        inbreeding: getInbreedingCoefficient(mother, father),
+    });
 
-    // Link this digit to mother/father
-    if (mother) mother.children.push(digit);
-    if (father) father.children.push(digit);
+    // Link this digit to mother/father, the mother cares for it
+    if (mother) mother.childIds.push(digit.id);
+    if (father) father.childIds.push(digit.id);
+    if (mother) assignCaretaker(digit, mother);
 
-    // Apply numerology traits if needed
-    // applyNumerologyTraits(digit);
+    // Numerology number (and lifespan trait when enabled)
+    applyNumerologyTraits(digit);
 
-    // Initialize position and appearance (for internal state only)
+    // Founders start moving in a random direction, newborns at rest
+    if (!mother) {
+        const speed = getSpeed(digit) * speedFactor;
+        digit.dx = Math.cos(angle) * speed;
+        digit.dy = Math.sin(angle) * speed;
+    }
+
+    // Initialize movement state
     updateDigitPosition(digit);
-    updateDigitAppearance(digit);
 
-    state.digits.push(digit);
+    registerDigit(digit);
+
+    // Names outside the active symbol set still get counted
+    state.currentCounts[sex][name] = (state.currentCounts[sex][name] ?? 0) + 1;
+    state.epochCumulativeCounts[sex][name] =
+        (state.epochCumulativeCounts[sex][name] ?? 0) + 1;
+    state.allTimeTotal += symbolValue(name);
 
-    state.currentCounts[sex][name]++;
-    state.epochCumulativeCounts[sex][name]++;
-    state.allTimeTotal += parseInt(name);
+    emit(EVENTS.BIRTH, {
+        tick: state.tick,
+        id: digit.id,
+        name,
+        sex,
+        motherId: digit.motherId,
+        fatherId: digit.fatherId,
+    });
 
     return digit;
 }
 
-export function killDigit(d) {
-    // Break any existing bonds
-    for (const other of state.digits) {
-        if (!other) continue;
-        if (other.bondedTo === d) other.bondedTo = null;
-        if (other.mother === d) other.mother = null;
-        if (Array.isArray(other.children)) {
-            other.children = other.children.filter((c) => c !== d);
-        }
+/**
+ * Calculate body scale for a digit based on age
+ * Grows from 30% to 100% as digit matures
+ * Shared by wall collisions and the renderer
+ * @param {Object} d - Digit object
+ * @returns {number} Scale multiplier (0.3-1.0)
+ */
+export function getDigitScale(d) {
+    return 0.3 + getGrowth(d) * 0.7;
+}
+
+// ================================
+// DEATH
+// ================================
+
+/**
+ * Remove a digit from the simulation
+ * Other digits reference it by ID, so their links stop resolving on their
+ * own; only the partner, children and parents are touched to drop stale IDs.
+ * @param {Object} d - Digit to remove
+ * @param {string} [cause='unknown'] - Reported in the death event
+ */
+export function killDigit(d, cause = 'unknown') {
+    if (!isRegistered(d)) return;
+
+    // Break any existing bond, the partner is widowed
+    widowPartner(d);
+
+    // Orphan children
+    for (const child of d.children) {
+        if (child.motherId === d.id) child.motherId = null;
+    }
+
+    // Drop from parents' child lists
+    for (const parent of [d.mother, d.father]) {
+        if (!parent) continue;
+        parent.childIds = parent.childIds.filter((id) => id !== d.id);
     }
 
     state.currentCounts[d.sex][d.name] = Math.max(
         0,
-        state.currentCounts[d.sex][d.name] - 1
+        (state.currentCounts[d.sex][d.name] ?? 0) - 1
     );
 
     // Only remove element if it exists (DOM mode fallback)
     if (d.element) d.element.remove();
 
-    state.digits = state.digits.filter((x) => x !== d);
+    unregisterDigit(d);
+    recordDeath(d, cause);
+
+    emit(EVENTS.DEATH, {
+        tick: state.tick,
+        id: d.id,
+        name: d.name,
+        sex: d.sex,
+        age: d.age,
+        stage: d.stage,
+        cause,
+        motherId: d.motherId,
+        fatherId: d.fatherId,
+    });
+
+    // Juveniles in its care go to the father or an adopter
+    releaseWards(d);
 }
 
 log(`[${moduleTag(import.meta)}] loaded`);
@@ -0,0 +1,202 @@
+// ============================================================
+// SIMULATION EVENTS
+// ============================================================
+// Small typed event bus so stats, overlays, logs (or sound) can react
+// to what happens in the engine instead of polling state:
+//
+//   import { on, EVENTS } from './model/events.js';
+//   const unsubscribe = on(EVENTS.BIRTH, (e) => log(`#${e.id} born`));
+//
+// Events fire synchronously inside the simulation step. When the engine
+// runs in the worker, they are batched per frame and re-emitted on the
+// main thread's bus (see control/simulationHost.js), so subscribers
+// work the same in both modes.
+// ============================================================
+
+import { log, moduleTag } from '../utils/utilities.js';
+
+// ============================================================
+// EVENT TYPES
+// ============================================================
+
+export const EVENTS = {
+    BIRTH: 'birth',
+    DEATH: 'death',
+    BOND: 'bond',
+    SEPARATION: 'separation',
+    REJECTION: 'rejection',
+    MISCARRIAGE: 'miscarriage',
+    ADOPTION: 'adoption',
+    EXTINCTION: 'extinction',
+    STAGE_CHANGE: 'stageChange',
+    RESET: 'reset',
+};
+
+/**
+ * @typedef {Object} BirthEvent
+ * @property {number} tick - Simulation tick
+ * @property {number} id - New digit ID
+ * @property {string} name - Digit name
+ * @property {string} sex - 'M' or 'F'
+ * @property {number|null} motherId - Mother ID (null for founders)
+ * @property {number|null} fatherId - Father ID (null for founders)
+ */
+
+/**
+ * @typedef {Object} DeathEvent
+ * @property {number} tick - Simulation tick
+ * @property {number} id - Digit ID
+ * @property {string} name - Digit name
+ * @property {string} sex - 'M' or 'F'
+ * @property {number} age - Age in steps
+ * @property {string} stage - Life stage at death
+ * @property {string} cause - Why the digit died (e.g. 'oldAge')
+ * @property {number|null} motherId - Mother ID
+ * @property {number|null} fatherId - Father ID
+ */
+
+/**
+ * @typedef {Object} BondEvent
+ * @property {number} tick - Simulation tick
+ * @property {number} maleId - Male digit ID
+ * @property {number} femaleId - Female digit ID
+ */
+
+/**
+ * @typedef {Object} SeparationEvent
+ * @property {number} tick - Simulation tick
+ * @property {number} maleId - Male digit ID
+ * @property {number} femaleId - Female digit ID
+ * @property {string} reason - 'birth', 'separation' or 'expired'
+ */
+
+/**
+ * @typedef {Object} RejectionEvent
+ * @property {number} tick - Simulation tick
+ * @property {number} maleId - Rejected male ID
+ * @property {number} femaleId - Rejecting female ID
+ * @property {number} score - Her score for him (0-1)
+ */
+
+/**
+ * @typedef {Object} MiscarriageEvent
+ * @property {number} tick - Simulation tick
+ * @property {number} motherId - Mother ID
+ * @property {number} fatherId - Father ID
+ */
+
+/**
+ * @typedef {Object} AdoptionEvent
+ * @property {number} tick - Simulation tick
+ * @property {number} childId - Juvenile ID
+ * @property {number} caretakerId - New caretaker ID
+ * @property {number|null} previousId - Former caretaker ID (null if orphaned earlier)
+ * @property {string} kind - 'father' or 'adoption'
+ * @property {number} relatedness - Coefficient of relationship (model/kinship.js)
+ */
+
+/**
+ * @typedef {Object} StageChangeEvent
+ * @property {number} tick - Simulation tick
+ * @property {number} id - Digit ID
+ * @property {string} from - Previous life stage
+ * @property {string} to - New life stage
+ */
+
+/**
+ * @typedef {Object} ResetEvent
+ * @property {number} tick - Simulation tick
+ * @property {number} epoch - Number of the epoch that starts now
+ * @property {string} cause - Why the simulation was reset (e.g. 'extinction')
+ * @property {Object|null} ended - Summary of the epoch that ended (null
+ *   on the first start), see model/extinction.js summarizeEpoch
+ */
+
+/**
+ * @typedef {Object} ExtinctionEvent
+ * @property {number} tick - Simulation tick
+ * @property {string} policy - Key in EXTINCTION_POLICIES applied next
+ * @property {Object} summary - Epoch so far (summarizeEpoch), with the
+ *   reason it died out
+ */
+
+// ============================================================
+// MODULE STATE
+// ============================================================
+
+const VALID_TYPES = new Set(Object.values(EVENTS));
+
+const listeners = new Map(); // type → Set of handlers
+
+// ============================================================
+// SUBSCRIPTION
+// ============================================================
+
+/**
+ * Subscribe to an event type
+ * @param {string} type - One of EVENTS
+ * @param {Function} handler - Called with the event payload
+ * @returns {Function} Unsubscribe function
+ */
+export function on(type, handler) {
+    if (!VALID_TYPES.has(type)) {
+        console.warn(`Unknown simulation event: ${type}`);
+        return () => {};
+    }
+
+    if (!listeners.has(type)) listeners.set(type, new Set());
+    listeners.get(type).add(handler);
+
+    return () => off(type, handler);
+}
+
+/**
+ * Unsubscribe from an event type
+ * @param {string} type - One of EVENTS
+ * @param {Function} handler - Handler passed to on()
+ */
+export function off(type, handler) {
+    listeners.get(type)?.delete(handler);
+}
+
+/**
+ * Subscribe to every event type
+ * @param {Function} handler - Called with (type, payload)
+ * @returns {Function} Unsubscribe function
+ */
+export function onAny(handler) {
+    const unsubscribers = [...VALID_TYPES].map((type) =>
+        on(type, (payload) => handler(type, payload))
+    );
+    return () => unsubscribers.forEach((unsubscribe) => unsubscribe());
+}
+
+// ============================================================
+// PUBLISHING
+// ============================================================
+
+/**
+ * Publish an event to its subscribers
+ * A failing subscriber is logged and does not stop the simulation
+ * @param {string} type - One of EVENTS
+ * @param {Object} payload - Plain event data (see typedefs above)
+ */
+export function emit(type, payload) {
+    if (!VALID_TYPES.has(type)) {
+        console.warn(`Unknown simulation event: ${type}`);
+        return;
+    }
+
+    const handlers = listeners.get(type);
+    if (!handlers) return;
+
+    for (const handler of [...handlers]) {
+        try {
+            handler(payload);
+        } catch (err) {
+            console.error(`Error in "${type}" event handler:`, err);
+        }
+    }
+}
+
+log(`[${moduleTag(import.meta)}] loaded`);
@@ -0,0 +1,147 @@
+// ============================================================
+// EXTINCTION MODULE
+// ============================================================
+// How epochs end and what happens when the population dies out:
+// - Every step the population is checked for whether it can still
+//   breed (a pregnancy, or a male and a female not yet elders). The
+//   first step it cannot is remembered with the reason: all females
+//   dead, all males dead, no mature pairs left (one sex aged out) or
+//   everyone aged out. Recovering (e.g. immigrants) clears it
+// - On extinction the reason is that remembered one, or 'sudden' if
+//   the population could still breed the step before (culls, orphans)
+// - CONFIG.extinctionPolicy decides what happens next (carried out by
+//   model/simulation.js):
+//     reset         start a new epoch right away
+//     pause         pause and show an epoch summary (ui/extinction.js);
+//                   stepping while paused keeps the world empty, the
+//                   first step after resuming starts a new epoch
+//     delayedReset  start a new epoch after CONFIG.extinctionDelaySec
+//     immigrants    CONFIG.immigrantCount adults arrive, the epoch
+//                   goes on
+// Every epoch end is summarized in state.lastEpoch.
+// ============================================================
+
+import { CONFIG } from '../config/config.js';
+import { state } from './state.js';
+import { isElder } from './lifecycle.js';
+import { log, moduleTag } from '../utils/utilities.js';
+
+// ============================================================
+// POLICIES AND REASONS
+// ============================================================
+
+export const EXTINCTION_POLICIES = {
+    reset: { label: 'Auto Reset' },
+    pause: { label: 'Pause & Summary' },
+    delayedReset: { label: 'Reset After Delay' },
+    immigrants: { label: 'Immigrants' },
+};
+
+export const EPOCH_END_REASONS = {
+    noFemales: 'All females died',
+    noMales: 'All males died',
+    noMaturePairs: 'No mature pairs left',
+    agingOut: 'Aged out',
+    sudden: 'Died out while still breeding',
+    manual: 'Reset by user',
+    reseed: 'Reseeded',
+};
+
+/**
+ * Active extinction policy key, falling back to auto reset
+ * @returns {string} Key in EXTINCTION_POLICIES
+ */
+export function getExtinctionPolicy() {
+    return CONFIG.extinctionPolicy in EXTINCTION_POLICIES
+        ? CONFIG.extinctionPolicy
+        : 'reset';
+}
+
+// ============================================================
+// DECLINE
+// ============================================================
+
+/**
+ * Find out why the living population can no longer breed
+ * @returns {string|null} Key in EPOCH_END_REASONS, null if it can
+ */
+function diagnoseDecline() {
+    let females = 0;
+    let males = 0;
+    let fertileFemales = 0;
+    let fertileMales = 0;
+
+    for (const d of state.digits) {
+        if (d.sex === 'F' && d.gestationTimer > 0) return null;
+
+        const fertile = !isElder(d);
+        if (d.sex === 'F') {
+            females++;
+            if (fertile) fertileFemales++;
+        } else {
+            males++;
+            if (fertile) fertileMales++;
+        }
+    }
+
+    if (females === 0) return 'noFemales';
+    if (males === 0) return 'noMales';
+    if (fertileFemales > 0 && fertileMales > 0) return null;
+    if (fertileFemales + fertileMales === 0) return 'agingOut';
+    return 'noMaturePairs';
+}
+
+/**
+ * Follow the population's decline for one step
+ * Also tracks the epoch's peak population
+ */
+export function trackDecline() {
+    const stats = state.epochStats;
+    stats.peakPopulation = Math.max(stats.peakPopulation, state.digits.length);
+    if (state.digits.length === 0) return;
+
+    const reason = diagnoseDecline();
+    if (reason === null) {
+        stats.declineReason = null;
+        stats.declineTick = null;
+    } else if (stats.declineReason === null) {
+        // Keep the first reason: later ones follow from it
+        stats.declineReason = reason;
+        stats.declineTick = state.tick;
+    }
+}
+
+// ============================================================
+// EPOCH SUMMARY
+// ============================================================
+
+/**
+ * Summarize the current epoch as it ends
+ * @param {string} cause - Reset cause ('extinction', 'manual', ...)
+ * @returns {Object} { epoch, reason, label, declineTick, durationSec,
+ *   peakPopulation, lived }
+ */
+export function summarizeEpoch(cause) {
+    const stats = state.epochStats;
+    const reason =
+        cause === 'extinction' ? stats.declineReason ?? 'sudden' : cause;
+
+    let lived = 0;
+    for (const sex of ['M', 'F']) {
+        for (const count of Object.values(state.epochCumulativeCounts[sex])) {
+            lived += count;
+        }
+    }
+
+    return {
+        epoch: state.resetCount + 1,
+        reason,
+        label: EPOCH_END_REASONS[reason] ?? reason,
+        declineTick: stats.declineTick,
+        durationSec: (state.tick - stats.startTick) / CONFIG.FPS,
+        peakPopulation: stats.peakPopulation,
+        lived,
+    };
+}
+
+log(`[${moduleTag(import.meta)}] loaded`);
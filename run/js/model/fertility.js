@@ -0,0 +1,114 @@
+// ============================================================
+// FERTILITY MODULE
+// ============================================================
+// How likely mating turns into offspring, and how many:
+// - Fertility curve: chance per mating attempt that a pair conceives,
+//   from both partners' progress through adulthood, the fertile stage
+//   (model/lifecycle.js). 'flat' keeps adults fully fertile; 'peaked'
+//   is a bell around CONFIG.fertilityPeak. After a failed attempt both
+//   partners wait out CONFIG.reproCooldown before the next one, so the
+//   curve is a chance per cycle, not per step
+// - Miscarriage: a pregnancy fails at term with CONFIG.miscarriageChance
+// - Litter size: 1, or twins/triplets with CONFIG.twinChance and
+//   CONFIG.tripletChance
+// Numerology fertility (model/numerology.js) shortens gestation and is
+// independent of this curve.
+// ============================================================
+
+import { CONFIG } from '../config/config.js';
+import { random } from '../utils/random.js';
+import { state } from './state.js';
+import { getStageProgress, isAdult } from './lifecycle.js';
+import { log, moduleTag } from '../utils/utilities.js';
+
+// ============================================================
+// FERTILITY CURVES
+// ============================================================
+
+export const FERTILITY_CURVES = {
+    flat: {
+        label: 'Flat',
+        chance: () => 1,
+    },
+    peaked: {
+        label: 'Peaked',
+        // Bell curve over the position t (0-1) through adulthood
+        chance: (t) =>
+            Math.exp(
+                -(((t - CONFIG.fertilityPeak) / CONFIG.fertilitySpread) ** 2)
+            ),
+    },
+};
+
+/**
+ * Fertility of a digit at its current age
+ * @param {Object} d - Digit object
+ * @returns {number} Chance 0-1 (0 outside adulthood)
+ */
+export function getAgeFertility(d) {
+    if (!isAdult(d)) return 0;
+
+    const curve =
+        FERTILITY_CURVES[CONFIG.fertilityCurve] ?? FERTILITY_CURVES.flat;
+    return curve.chance(getStageProgress(d));
+}
+
+/**
+ * Check if a digit is waiting out a failed attempt to conceive
+ * @param {Object} d - Digit object
+ * @returns {boolean} True until its next attempt is due
+ */
+export function isWaitingToConceive(d) {
+    return state.tick < (d.nextConceptionTick ?? 0);
+}
+
+/**
+ * Roll whether a mating attempt conceives
+ * Certain conceptions draw no random number, so the flat curve keeps
+ * runs identical to the one-child-per-bond rule. A failed roll puts
+ * both partners on the reproduction cooldown
+ * @param {Object} female - Female digit
+ * @param {Object} male - Male digit
+ * @returns {boolean} True if the pair conceives
+ */
+export function conceives(female, male) {
+    if (isWaitingToConceive(female) || isWaitingToConceive(male)) {
+        return false;
+    }
+
+    const chance = getAgeFertility(female) * getAgeFertility(male);
+    if (chance >= 1) return true;
+    if (random() < chance) return true;
+
+    female.nextConceptionTick = male.nextConceptionTick =
+        state.tick + CONFIG.reproCooldown;
+    return false;
+}
+
+// ============================================================
+// BIRTH OUTCOMES
+// ============================================================
+
+/**
+ * Roll whether a pregnancy fails at term
+ * @returns {boolean} True on miscarriage
+ */
+export function miscarries() {
+    if (CONFIG.miscarriageChance <= 0) return false;
+    return random() < CONFIG.miscarriageChance;
+}
+
+/**
+ * Draw the number of children in a litter
+ * @returns {number} 1, 2 (twins) or 3 (triplets)
+ */
+export function drawLitterSize() {
+    if (CONFIG.twinChance <= 0 && CONFIG.tripletChance <= 0) return 1;
+
+    const roll = random();
+    if (roll < CONFIG.tripletChance) return 3;
+    if (roll < CONFIG.tripletChance + CONFIG.twinChance) return 2;
+    return 1;
+}
+
+log(`[${moduleTag(import.meta)}] loaded`);
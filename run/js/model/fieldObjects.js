@@ -0,0 +1,153 @@
+// ============================================================
+// FIELD OBJECTS MODULE
+// ============================================================
+// Persistent attractors and repulsors placed on the canvas, next to the
+// pointer attractor (model/attractor.js):
+// - Each object has its own radius, strength, falloff curve and an
+//   optional pulse (strength swells and ebbs every pulseSec seconds)
+// - Attractors pull digits toward their center, repulsors push them
+//   away; model/attractor.js sums the forces of all objects in range
+// - The objects live in CONFIG.fieldObjects (plain data), so they are
+//   saved with the config, snapshots included. The UI edits them
+//   through control/attractorInput.js, which mirrors every change to
+//   the engine
+// ============================================================
+
+import { CONFIG } from '../config/config.js';
+import { state } from './state.js';
+import { log, moduleTag } from '../utils/utilities.js';
+
+// ============================================================
+// CONSTANTS
+// ============================================================
+
+export const FIELD_OBJECT_KINDS = {
+    attractor: { label: 'Attractor', sign: 1 },
+    repulsor: { label: 'Repulsor', sign: -1 },
+};
+
+// Falloff from the center (n = 0) to the edge (n = 1) of the radius
+export const FALLOFF_CURVES = {
+    constant: { label: 'Constant', weight: () => 1 },
+    linear: { label: 'Linear', weight: (n) => 1 - n },
+    quadratic: { label: 'Quadratic', weight: (n) => 1 - n * n },
+    smooth: { label: 'Smooth', weight: (n) => (1 - n) * (1 - n) },
+};
+
+export const FIELD_DEFAULTS = {
+    radius: 150,
+    strength: 0.5, // Added velocity per step at full weight
+    falloff: 'quadratic',
+    pulseSec: 0, // 0 = steady
+    grabRadius: 14, // Pointer distance at which an object can be dragged
+};
+
+// ============================================================
+// OBJECTS
+// ============================================================
+
+/**
+ * Field objects of the active config
+ * @returns {Array<Object>} { id, kind, x, y, radius, strength,
+ *   falloff, pulseSec }
+ */
+export function getFieldObjects() {
+    return Array.isArray(CONFIG.fieldObjects) ? CONFIG.fieldObjects : [];
+}
+
+/**
+ * Create a field object with the default settings
+ * @param {string} kind - Key in FIELD_OBJECT_KINDS
+ * @param {number} x - Center x
+ * @param {number} y - Center y
+ * @returns {Object} New field object (not yet added)
+ */
+export function createFieldObject(kind, x, y) {
+    const ids = getFieldObjects().map((obj) => obj.id);
+    return normalizeFieldObject({
+        id: Math.max(0, ...ids) + 1,
+        kind,
+        x,
+        y,
+    });
+}
+
+/**
+ * Fill in missing or invalid settings of a field object
+ * @param {Object} obj - Field object, e.g. from a snapshot
+ * @returns {Object} Complete copy
+ */
+export function normalizeFieldObject(obj) {
+    const number = (value, fallback) =>
+        Number.isFinite(Number(value)) ? Number(value) : fallback;
+
+    return {
+        id: obj.id,
+        kind: obj.kind in FIELD_OBJECT_KINDS ? obj.kind : 'attractor',
+        x: number(obj.x, 0),
+        y: number(obj.y, 0),
+        radius: Math.max(1, number(obj.radius, FIELD_DEFAULTS.radius)),
+        strength: Math.max(0, number(obj.strength, FIELD_DEFAULTS.strength)),
+        falloff:
+            obj.falloff in FALLOFF_CURVES
+                ? obj.falloff
+                : FIELD_DEFAULTS.falloff,
+        pulseSec: Math.max(0, number(obj.pulseSec, FIELD_DEFAULTS.pulseSec)),
+    };
+}
+
+/**
+ * Find the object whose center is under a point
+ * @param {number} x - Point x
+ * @param {number} y - Point y
+ * @returns {Object|null} Topmost object within grab range
+ */
+export function findFieldObjectAt(x, y) {
+    const objects = getFieldObjects();
+    for (let i = objects.length - 1; i >= 0; i--) {
+        const obj = objects[i];
+        if (Math.hypot(obj.x - x, obj.y - y) <= FIELD_DEFAULTS.grabRadius) {
+            return obj;
+        }
+    }
+    return null;
+}
+
+// ============================================================
+// FORCES
+// ============================================================
+
+/**
+ * Current strength of an object, following its pulse
+ * @param {Object} obj - Field object
+ * @param {number} [tick=state.tick] - Simulation step
+ * @returns {number} Strength at that step
+ */
+export function getFieldStrength(obj, tick = state.tick) {
+    if (!(obj.pulseSec > 0)) return obj.strength;
+
+    const phase = (tick / CONFIG.FPS / obj.pulseSec) * Math.PI * 2;
+    return obj.strength * (0.5 + 0.5 * Math.sin(phase));
+}
+
+/**
+ * Velocity change an object applies to a digit
+ * @param {Object} obj - Field object
+ * @param {Object} digit - Digit object
+ * @returns {Object|null} { fx, fy }, null if the digit is out of range
+ */
+export function getFieldForce(obj, digit) {
+    const dx = obj.x - digit.x;
+    const dy = obj.y - digit.y;
+    const dist = Math.sqrt(dx * dx + dy * dy);
+    if (dist < 0.1 || dist > obj.radius) return null;
+
+    const curve = FALLOFF_CURVES[obj.falloff] ?? FALLOFF_CURVES.quadratic;
+    const sign = FIELD_OBJECT_KINDS[obj.kind]?.sign ?? 1;
+    const magnitude =
+        sign * getFieldStrength(obj) * curve.weight(dist / obj.radius);
+
+    return { fx: (dx / dist) * magnitude, fy: (dy / dist) * magnitude };
+}
+
+log(`[${moduleTag(import.meta)}] loaded`);
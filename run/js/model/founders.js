@@ -0,0 +1,221 @@
+// ============================================================
+// FOUNDERS MODULE
+// ============================================================
+// The population every epoch starts from, CONFIG.founders: a list of
+// groups, each { name, sex, count, placement, ageSec }:
+// - name: symbol of the active set; blank means the symbol of value 1
+//   ('1', 'A', ...)
+// - placement: key in FOUNDER_PLACEMENTS, laid out per group. Males
+//   and females of the same pattern are offset so pairs sit side by
+//   side instead of on top of each other
+// - ageSec: how old the group starts (0 = newborn)
+// The default is one male and one female near the center. Named
+// founder sets are stored by the browser (ui/founders.js); the engine
+// only sees the active list. Immigrants arriving after an extinction
+// (model/extinction.js) are laid out here too.
+// ============================================================
+
+import { CONFIG } from '../config/config.js';
+import { world } from './world.js';
+import { getSymbolSet, symbolName } from './symbols.js';
+import { random, randomAngle } from '../utils/random.js';
+import { log, moduleTag } from '../utils/utilities.js';
+
+// ============================================================
+// CONSTANTS
+// ============================================================
+
+const FOUNDERS = {
+    spacing: 30, // Gap between neighbors in the center pattern
+    margin: 40, // Distance kept from the world edges
+    ringRadius: 0.35, // Ring radius as a share of the smaller world side
+    clusterCount: 3, // Number of clusters
+    clusterRadius: 50, // Spread of each cluster
+    maxCount: 200, // Largest group
+};
+
+export const DEFAULT_FOUNDERS = [
+    { name: '', sex: 'M', count: 1, placement: 'center', ageSec: 0 },
+    { name: '', sex: 'F', count: 1, placement: 'center', ageSec: 0 },
+];
+
+// ============================================================
+// PLACEMENT PATTERNS
+// ============================================================
+
+/**
+ * Center of one of the clusters, evenly spread on a ring half the
+ * size of the ring pattern
+ * @param {number} k - Cluster index
+ * @returns {Object} { x, y }
+ */
+function clusterCenter(k) {
+    const angle = (2 * Math.PI * k) / FOUNDERS.clusterCount;
+    const radius =
+        (Math.min(world.width, world.height) * FOUNDERS.ringRadius) / 2;
+    return {
+        x: world.width / 2 + Math.cos(angle) * radius,
+        y: world.height / 2 + Math.sin(angle) * radius,
+    };
+}
+
+// Each place(i, count, side) returns the position of the i-th of count
+// founders; side is -1 for males and 1 for females
+export const FOUNDER_PLACEMENTS = {
+    center: {
+        label: 'Center',
+        // A row leading away from the center, males left, females right
+        place: (i, count, side) => ({
+            x: world.width / 2 + side * FOUNDERS.spacing * (i + 1),
+            y: world.height / 2,
+        }),
+    },
+    random: {
+        label: 'Random',
+        place: () => ({
+            x:
+                FOUNDERS.margin +
+                random() * (world.width - 2 * FOUNDERS.margin),
+            y:
+                FOUNDERS.margin +
+                random() * (world.height - 2 * FOUNDERS.margin),
+        }),
+    },
+    ring: {
+        label: 'Ring',
+        // Females sit half a step further round
+        place: (i, count, side) => {
+            const angle = (2 * Math.PI * (i + (side > 0 ? 0.5 : 0))) / count;
+            const radius =
+                Math.min(world.width, world.height) * FOUNDERS.ringRadius;
+            return {
+                x: world.width / 2 + Math.cos(angle) * radius,
+                y: world.height / 2 + Math.sin(angle) * radius,
+            };
+        },
+    },
+    grid: {
+        label: 'Grid',
+        // Cells fill the world; the sexes share cells, side by side
+        place: (i, count, side) => {
+            const cols = Math.ceil(Math.sqrt(count));
+            const rows = Math.ceil(count / cols);
+            const cellWidth = (world.width - 2 * FOUNDERS.margin) / cols;
+            const cellHeight = (world.height - 2 * FOUNDERS.margin) / rows;
+            return {
+                x:
+                    FOUNDERS.margin +
+                    ((i % cols) + 0.5) * cellWidth +
+                    (side * FOUNDERS.spacing) / 2,
+                y: FOUNDERS.margin + (Math.floor(i / cols) + 0.5) * cellHeight,
+            };
+        },
+    },
+    clusters: {
+        label: 'Clusters',
+        // Founders are dealt round the clusters, scattered in each
+        place: (i) => {
+            const center = clusterCenter(i % FOUNDERS.clusterCount);
+            const angle = randomAngle();
+            const radius = random() * FOUNDERS.clusterRadius;
+            return {
+                x: center.x + Math.cos(angle) * radius,
+                y: center.y + Math.sin(angle) * radius,
+            };
+        },
+    },
+};
+
+// ============================================================
+// FOUNDER SETS
+// ============================================================
+
+/**
+ * Clean up one founder group (values may come from storage or a file)
+ * @param {Object} group - Founder group
+ * @returns {Object} Group with valid name, sex, count, placement, age
+ */
+export function normalizeFounderGroup(group) {
+    let name = String(group.name ?? '').trim();
+    if (name && !getSymbolSet().values.has(name)) {
+        console.warn(`Unknown founder name "${name}", using the first symbol`);
+        name = '';
+    }
+
+    const count = Math.round(Number(group.count));
+    const ageSec = Number(group.ageSec);
+
+    return {
+        name,
+        sex: group.sex === 'F' ? 'F' : 'M',
+        count: Number.isFinite(count)
+            ? Math.min(Math.max(count, 0), FOUNDERS.maxCount)
+            : 0,
+        placement:
+            group.placement in FOUNDER_PLACEMENTS ? group.placement : 'center',
+        ageSec: Number.isFinite(ageSec)
+            ? Math.min(Math.max(ageSec, 0), CONFIG.maxAgeSec)
+            : 0,
+    };
+}
+
+/**
+ * Lay out the founders of the active set
+ * Falls back to the default pair when the set yields nobody, so an
+ * epoch never starts extinct
+ * @returns {Array<Object>} { name, sex, x, y, age } per founder
+ */
+export function planFounders() {
+    let groups = (CONFIG.founders ?? []).map(normalizeFounderGroup);
+    if (!groups.some((group) => group.count > 0)) {
+        console.warn('Founder set is empty, using the default pair');
+        groups = DEFAULT_FOUNDERS;
+    }
+
+    const founders = [];
+    for (const group of groups) {
+        const name = group.name || symbolName(1);
+        const side = group.sex === 'M' ? -1 : 1;
+        const pattern = FOUNDER_PLACEMENTS[group.placement];
+
+        for (let i = 0; i < group.count; i++) {
+            const { x, y } = pattern.place(i, group.count, side);
+            founders.push({
+                name,
+                sex: group.sex,
+                x,
+                y,
+                age: Math.round(group.ageSec * CONFIG.FPS),
+            });
+        }
+    }
+
+    return founders;
+}
+
+/**
+ * Lay out a wave of immigrants (the 'immigrants' extinction policy)
+ * Adults with random names of the active set, scattered over the
+ * world, alternating male and female
+ * @param {number} count - Number of immigrants
+ * @returns {Array<Object>} { name, sex, x, y, age } per immigrant
+ */
+export function planImmigrants(count) {
+    const symbols = getSymbolSet().symbols;
+    const immigrants = [];
+
+    for (let i = 0; i < count; i++) {
+        const { x, y } = FOUNDER_PLACEMENTS.random.place();
+        immigrants.push({
+            name: symbols[Math.floor(random() * symbols.length)],
+            sex: i % 2 === 0 ? 'M' : 'F',
+            x,
+            y,
+            age: CONFIG.matureAge,
+        });
+    }
+
+    return immigrants;
+}
+
+log(`[${moduleTag(import.meta)}] loaded`);
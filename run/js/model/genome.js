@@ -0,0 +1,179 @@
+// ============================================================
+// GENOME MODULE
+// ============================================================
+// Heritable traits carried by every digit:
+// - Each gene is a multiplier on the matching CONFIG value, so the
+//   parameter sliders still set the baseline for the population
+// - Founders start at 1.0 for every gene
+// - Children get a uniform crossover of both parents' genes, then each
+//   gene mutates with probability CONFIG.mutationRate by up to
+//   ±CONFIG.mutationStrength (relative), clamped to the gene's range
+// Movement and lifecycle read traits through the getters below, which
+// also fold in the optional numerology layer (model/numerology.js).
+// ============================================================
+
+import { CONFIG } from '../config/config.js';
+import { random } from '../utils/random.js';
+import { getNumerologyTraits } from './numerology.js';
+import { log, moduleTag } from '../utils/utilities.js';
+
+// ============================================================
+// GENES
+// ============================================================
+
+export const GENES = {
+    speed: { label: 'Speed', short: 'spd', min: 0.5, max: 2 },
+    lifespan: { label: 'Lifespan', short: 'life', min: 0.5, max: 2 },
+    attractionRadius: {
+        label: 'Attraction Radius',
+        short: 'attr',
+        min: 0.25,
+        max: 3,
+    },
+    mateDistance: { label: 'Mate Distance', short: 'mate', min: 0.5, max: 2 },
+    jitter: { label: 'Jitter', short: 'jit', min: 0, max: 3 },
+};
+
+// ============================================================
+// CREATION AND INHERITANCE
+// ============================================================
+
+/**
+ * Neutral genome for founders (every gene 1.0)
+ * @returns {Object} Genome
+ */
+export function createFounderGenome() {
+    const genome = {};
+    for (const name of Object.keys(GENES)) genome[name] = 1;
+    return genome;
+}
+
+/**
+ * Mutate one gene value
+ * @param {string} name - Gene name
+ * @param {number} value - Inherited value
+ * @returns {number} Possibly mutated value within the gene's range
+ */
+function mutateGene(name, value) {
+    if (random() >= CONFIG.mutationRate) return value;
+
+    const { min, max } = GENES[name];
+    const change = (random() * 2 - 1) * CONFIG.mutationStrength;
+    return Math.min(max, Math.max(min, value * (1 + change)));
+}
+
+/**
+ * Build a child's genome from both parents
+ * @param {Object} mother - Mother digit
+ * @param {Object} father - Father digit
+ * @returns {Object} Genome
+ */
+export function inheritGenome(mother, father) {
+    const genome = {};
+    for (const name of Object.keys(GENES)) {
+        const parent = random() < 0.5 ? mother : father;
+        genome[name] = mutateGene(name, getGene(parent, name));
+    }
+    return genome;
+}
+
+// ============================================================
+// TRAIT GETTERS
+// ============================================================
+
+/**
+ * Read a gene multiplier (1.0 for digits without a genome)
+ * @param {Object} d - Digit object
+ * @param {string} name - Gene name
+ * @returns {number} Multiplier
+ */
+export function getGene(d, name) {
+    return d.genome?.[name] ?? 1;
+}
+
+/**
+ * Cruising speed of a digit
+ * @param {Object} d - Digit object
+ * @returns {number} Speed in pixels per step
+ */
+export function getSpeed(d) {
+    return (
+        CONFIG.speed * getGene(d, 'speed') * getNumerologyTraits(d).speedFactor
+    );
+}
+
+/**
+ * Lifespan multiplier, applied to maxAge at birth
+ * @param {Object} d - Digit object
+ * @returns {number} Multiplier
+ */
+export function getLifespanFactor(d) {
+    return getGene(d, 'lifespan');
+}
+
+/**
+ * Radius in which a male notices females
+ * @param {Object} d - Digit object
+ * @returns {number} Radius in pixels
+ */
+export function getAttractionRadius(d) {
+    return (
+        CONFIG.attractionRadius *
+        getGene(d, 'attractionRadius') *
+        getNumerologyTraits(d).sociability
+    );
+}
+
+/**
+ * Distance at which a male can bond
+ * @param {Object} d - Digit object
+ * @returns {number} Distance in pixels
+ */
+export function getMateDistance(d) {
+    return CONFIG.mateDistance * getGene(d, 'mateDistance');
+}
+
+/**
+ * Multiplier on direction and velocity jitter
+ * @param {Object} d - Digit object
+ * @returns {number} Multiplier
+ */
+export function getJitterFactor(d) {
+    return getGene(d, 'jitter');
+}
+
+/**
+ * Fertility multiplier (gestation is divided by it)
+ * Not heritable yet, comes from numerology only
+ * @param {Object} d - Digit object
+ * @returns {number} Multiplier
+ */
+export function getFertility(d) {
+    return getNumerologyTraits(d).fertility;
+}
+
+// ============================================================
+// STATISTICS
+// ============================================================
+
+/**
+ * Average every gene over a population
+ * @param {Array} digits - Digits to average
+ * @returns {Object} Gene name → mean multiplier (1.0 when empty)
+ */
+export function averageGenome(digits) {
+    const totals = createFounderGenome();
+    if (digits.length === 0) return totals;
+
+    for (const name of Object.keys(totals)) totals[name] = 0;
+    for (const d of digits) {
+        for (const name of Object.keys(totals)) {
+            totals[name] += getGene(d, name);
+        }
+    }
+    for (const name of Object.keys(totals)) totals[name] /= digits.length;
+
+    return totals;
+}
+
+log(`[${moduleTag(import.meta)}] loaded`);
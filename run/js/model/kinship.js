@@ -0,0 +1,201 @@
+// ============================================================
+// KINSHIP MODULE
+// ============================================================
+// Family relations beyond the living registry:
+// - Every digit carries its ancestry: the IDs of its ancestors up to
+//   KINSHIP.maxGenerations back, as a pedigree laid out by position
+//   (generation 1 = [mother, father], generation 2 = [mother's mother,
+//   mother's father, father's mother, father's father], ...), so
+//   relations survive the death of the digits in between
+// - Relatedness is Wright's coefficient of relationship over that
+//   pedigree: the sum of (1/2)^(n1+n2) over every pair of paths to a
+//   common ancestor that share nobody else
+// - A digit's inbreeding coefficient is half its parents' relatedness
+// CONFIG.kinshipPolicy decides which relatives may bond:
+//   allow        anyone
+//   firstDegree  no parents, children or siblings
+//   generations  no common ancestor within CONFIG.kinshipGenerations
+// ============================================================
+
+import { CONFIG } from '../config/config.js';
+import { state } from './state.js';
+import { log, moduleTag } from '../utils/utilities.js';
+
+// ============================================================
+// CONSTANTS
+// ============================================================
+
+const KINSHIP = {
+    maxGenerations: 4, // Ancestry depth stored per digit (30 IDs)
+};
+
+export const KINSHIP_POLICIES = {
+    allow: { label: 'Allow' },
+    firstDegree: { label: 'Avoid First Degree' },
+    generations: { label: 'Avoid N Generations' },
+};
+
+// ============================================================
+// ANCESTRY
+// ============================================================
+
+/**
+ * Build a newborn's ancestry from its parents
+ * Founders (no parents) get an empty ancestry
+ * @param {Object} [mother] - Mother digit
+ * @param {Object} [father] - Father digit
+ * @returns {Array<Array<number|null>>} Ancestor IDs per generation
+ */
+export function createAncestry(mother, father) {
+    if (!mother || !father) return [];
+
+    const ancestry = [[mother.id, father.id]];
+    for (let g = 1; g < KINSHIP.maxGenerations; g++) {
+        const size = 2 ** g;
+        const fromMother = mother.ancestry?.[g - 1] ?? Array(size).fill(null);
+        const fromFather = father.ancestry?.[g - 1] ?? Array(size).fill(null);
+        ancestry.push([...fromMother, ...fromFather]);
+    }
+    return ancestry;
+}
+
+/**
+ * List a digit and its known ancestors with the path leading to each
+ * @param {Object} d - Digit
+ * @returns {Array<Object>} { id, depth, path } where path holds the IDs
+ *   from d up to (not including) the ancestor
+ */
+function listLineage(d) {
+    const lineage = [{ id: d.id, depth: 0, path: [] }];
+    const ancestry = d.ancestry ?? [];
+
+    for (let g = 0; g < ancestry.length; g++) {
+        ancestry[g].forEach((id, pos) => {
+            if (id === null) return;
+            // Walk down the pedigree: the child at each level is the
+            // position halved
+            const path = [d.id];
+            for (let k = g - 1, p = pos >> 1; k >= 0; k--, p >>= 1) {
+                path.push(ancestry[k][p]);
+            }
+            lineage.push({ id, depth: g + 1, path });
+        });
+    }
+
+    return lineage;
+}
+
+// ============================================================
+// RELATEDNESS
+// ============================================================
+
+/**
+ * Coefficient of relationship between two digits
+ * 0.5 for parent/child and full siblings, 0.25 for half siblings,
+ * grandparents, aunts and uncles, 0.125 for first cousins, ...
+ * @param {Object} a - First digit
+ * @param {Object} b - Second digit
+ * @returns {number} Relatedness (0 = unrelated within the known pedigree)
+ */
+export function getRelatedness(a, b) {
+    const lineageB = new Map();
+    for (const entry of listLineage(b)) {
+        if (!lineageB.has(entry.id)) lineageB.set(entry.id, []);
+        lineageB.get(entry.id).push(entry);
+    }
+
+    let relatedness = 0;
+    for (const entryA of listLineage(a)) {
+        const matches = lineageB.get(entryA.id);
+        if (!matches) continue;
+
+        for (const entryB of matches) {
+            // Paths through a shared relative are counted via that relative
+            if (entryA.path.some((id) => entryB.path.includes(id))) continue;
+            relatedness += 0.5 ** (entryA.depth + entryB.depth);
+        }
+    }
+
+    return relatedness;
+}
+
+/**
+ * Check if two digits share an ancestor within some generations
+ * A digit counts as its own ancestor at generation 0, so parents and
+ * children are caught too
+ * @param {Object} a - First digit
+ * @param {Object} b - Second digit
+ * @param {number} generations - How far back to look in both pedigrees
+ * @returns {boolean} True if related that closely
+ */
+export function sharesAncestorWithin(a, b, generations) {
+    const idsB = new Set(
+        listLineage(b)
+            .filter((entry) => entry.depth <= generations)
+            .map((entry) => entry.id)
+    );
+    return listLineage(a).some(
+        (entry) => entry.depth <= generations && idsB.has(entry.id)
+    );
+}
+
+/**
+ * Inbreeding coefficient of a child of these parents
+ * @param {Object} [mother] - Mother digit
+ * @param {Object} [father] - Father digit
+ * @returns {number} 0 (outbred) to 1
+ */
+export function getInbreedingCoefficient(mother, father) {
+    if (!mother || !father) return 0;
+    return getRelatedness(mother, father) / 2;
+}
+
+// ============================================================
+// POLICY
+// ============================================================
+
+/**
+ * Check whether the kinship policy lets two digits bond
+ * @param {Object} female - Female digit
+ * @param {Object} male - Male digit
+ * @returns {boolean} True if allowed
+ */
+export function isKinshipAllowed(female, male) {
+    switch (CONFIG.kinshipPolicy) {
+        case 'firstDegree':
+            return !sharesAncestorWithin(female, male, 1);
+        case 'generations':
+            return !sharesAncestorWithin(
+                female,
+                male,
+                Math.max(1, CONFIG.kinshipGenerations)
+            );
+        default:
+            return true;
+    }
+}
+
+// ============================================================
+// STATISTICS
+// ============================================================
+
+/**
+ * Inbreeding across the living population
+ * @returns {Object} { mean, inbredShare } (mean coefficient, share > 0)
+ */
+export function collectInbreedingStats() {
+    const count = state.digits.length;
+    if (count === 0) return { mean: 0, inbredShare: 0 };
+
+    let total = 0;
+    let inbred = 0;
+    for (const d of state.digits) {
+        const f = d.inbreeding ?? 0;
+        total += f;
+        if (f > 0) inbred++;
+    }
+
+    return { mean: total / count, inbredShare: inbred / count };
+}
+
+log(`[${moduleTag(import.meta)}] loaded`);
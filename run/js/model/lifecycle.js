@@ -0,0 +1,185 @@
+// ============================================================
+// LIFECYCLE MODULE
+// ============================================================
+// Every digit is in exactly one life stage (d.stage), moving forward
+// through LIFE_STAGES as it ages:
+//   infant → juvenile → adolescent → adult → elder
+// - Each stage starts at a CONFIG boundary (juvenileAge, adolescenceAge,
+//   matureAge, oldAge); CONFIG rejects boundaries out of this order
+// - Stages change only through updateLifeStage, once per step, which
+//   runs the exit hooks of the old stage and the enter hooks of the new
+//   one and emits STAGE_CHANGE. Other modules register hooks with
+//   onEnterStage/onExitStage (e.g. model/care.js lets adolescents go)
+// - The rest of the engine and the renderer ask for the stage
+//   (isDependent, isAdult, isElder) instead of comparing ages
+// ============================================================
+
+import { CONFIG } from '../config/config.js';
+import { state } from './state.js';
+import { emit, EVENTS } from './events.js';
+import { log, moduleTag } from '../utils/utilities.js';
+
+// ============================================================
+// STAGES
+// ============================================================
+
+// Ordered from birth to death
+export const LIFE_STAGES = [
+    'infant',
+    'juvenile',
+    'adolescent',
+    'adult',
+    'elder',
+];
+
+// Age (in steps) at which each stage starts
+const STAGE_STARTS = {
+    infant: () => 0,
+    juvenile: () => CONFIG.juvenileAge,
+    adolescent: () => CONFIG.adolescenceAge,
+    adult: () => CONFIG.matureAge,
+    elder: () => CONFIG.oldAge,
+};
+
+// Stage → Set of hooks, filled by onEnterStage/onExitStage
+const enterHooks = new Map();
+const exitHooks = new Map();
+
+/**
+ * Run a function whenever a digit enters a stage
+ * @param {string} stage - One of LIFE_STAGES
+ * @param {Function} hook - Called with the digit
+ */
+export function onEnterStage(stage, hook) {
+    if (!enterHooks.has(stage)) enterHooks.set(stage, new Set());
+    enterHooks.get(stage).add(hook);
+}
+
+/**
+ * Run a function whenever a digit leaves a stage
+ * @param {string} stage - One of LIFE_STAGES
+ * @param {Function} hook - Called with the digit
+ */
+export function onExitStage(stage, hook) {
+    if (!exitHooks.has(stage)) exitHooks.set(stage, new Set());
+    exitHooks.get(stage).add(hook);
+}
+
+// ============================================================
+// TRANSITIONS
+// ============================================================
+
+/**
+ * Determine the stage a digit's age falls into
+ * @param {Object} d - Digit object
+ * @returns {string} One of LIFE_STAGES
+ */
+export function getLifeStage(d) {
+    for (let i = LIFE_STAGES.length - 1; i > 0; i--) {
+        const stage = LIFE_STAGES[i];
+        if (d.age >= STAGE_STARTS[stage]()) return stage;
+    }
+    return LIFE_STAGES[0];
+}
+
+/**
+ * Put a new digit in the stage matching its age, without transitions
+ * Used at creation and for founders that start older
+ * @param {Object} d - Digit object
+ */
+export function initLifeStage(d) {
+    d.stage = getLifeStage(d);
+}
+
+/**
+ * Move a digit into a stage, running the hooks
+ * @param {Object} d - Digit object
+ * @param {string} stage - Stage to enter
+ */
+function transition(d, stage) {
+    const from = d.stage;
+    for (const hook of exitHooks.get(from) ?? []) hook(d);
+    d.stage = stage;
+    for (const hook of enterHooks.get(stage) ?? []) hook(d);
+
+    emit(EVENTS.STAGE_CHANGE, { tick: state.tick, id: d.id, from, to: stage });
+}
+
+/**
+ * Move a digit to the stage matching its age
+ * Stages passed on the way are entered one by one, so their hooks run;
+ * if the boundaries moved past a digit, it goes straight back
+ * @param {Object} d - Digit object
+ * @returns {boolean} True if the stage changed
+ */
+export function updateLifeStage(d) {
+    const target = getLifeStage(d);
+    if (target === d.stage) return false;
+
+    const from = LIFE_STAGES.indexOf(d.stage);
+    const to = LIFE_STAGES.indexOf(target);
+    if (from >= 0 && to > from) {
+        for (let i = from + 1; i <= to; i++) transition(d, LIFE_STAGES[i]);
+    } else {
+        transition(d, target);
+    }
+    return true;
+}
+
+// ============================================================
+// STAGE QUERIES
+// ============================================================
+
+/**
+ * Check if a digit still depends on a caretaker
+ * @param {Object} d - Digit object
+ * @returns {boolean} True for infants and juveniles
+ */
+export function isDependent(d) {
+    return d.stage === 'infant' || d.stage === 'juvenile';
+}
+
+/**
+ * Check if a digit is an adult (courting, breeding, adopting)
+ * @param {Object} d - Digit object
+ * @returns {boolean} True for adults
+ */
+export function isAdult(d) {
+    return d.stage === 'adult';
+}
+
+/**
+ * Check if a digit is an elder (past breeding, fading out)
+ * @param {Object} d - Digit object
+ * @returns {boolean} True for elders
+ */
+export function isElder(d) {
+    return d.stage === 'elder';
+}
+
+/**
+ * How far a digit is through its current stage
+ * Elders run until their own maxAge
+ * @param {Object} d - Digit object
+ * @returns {number} 0 on entering the stage, 1 at its end
+ */
+export function getStageProgress(d) {
+    const index = LIFE_STAGES.indexOf(d.stage);
+    const start = STAGE_STARTS[d.stage]?.() ?? 0;
+    const next = LIFE_STAGES[index + 1];
+    const end = next ? STAGE_STARTS[next]() : d.maxAge;
+    const progress = (d.age - start) / Math.max(1, end - start);
+
+    return Math.min(Math.max(progress, 0), 1);
+}
+
+/**
+ * How grown a digit is: from birth to adulthood
+ * @param {Object} d - Digit object
+ * @returns {number} 0 at birth, 1 from adulthood on
+ */
+export function getGrowth(d) {
+    return Math.min(d.age / CONFIG.matureAge, 1);
+}
+
+log(`[${moduleTag(import.meta)}] loaded`);
@@ -0,0 +1,123 @@
+// ============================================================
+// MATE CHOICE MODULE
+// ============================================================
+// Gives females a say: when a male gets within mate distance, the
+// female scores him with the preference selected by CONFIG.matePreference
+// and accepts if the score reaches CONFIG.mateChoiceThreshold.
+// A rejected male stops courting for CONFIG.rejectionCooldownSec
+// and the rejection is counted (state.epochStats.rejections) and
+// announced as a REJECTION event.
+// Every preference returns a score from 0 (never) to 1 (ideal).
+// ============================================================
+
+import { CONFIG } from '../config/config.js';
+import { state } from './state.js';
+import { emit, EVENTS } from './events.js';
+import { getGene } from './genome.js';
+import { getStageProgress } from './lifecycle.js';
+import { getSymbolSet, symbolValue } from './symbols.js';
+import { log, moduleTag } from '../utils/utilities.js';
+
+// ============================================================
+// PREFERENCES
+// ============================================================
+
+/**
+ * Clamp a score into 0-1
+ * @param {number} value - Raw score
+ * @returns {number} Score
+ */
+function clampScore(value) {
+    return Math.min(1, Math.max(0, value));
+}
+
+export const MATE_PREFERENCES = {
+    any: {
+        label: 'Any Male',
+        score: () => 1,
+    },
+    compatibility: {
+        label: 'Similar Names',
+        // Close symbol values score high
+        score: (female, male) => {
+            const { min, max } = getSymbolSet();
+            const gap = Math.abs(
+                symbolValue(female.name) - symbolValue(male.name)
+            );
+            return clampScore(1 - gap / Math.max(1, max - min));
+        },
+    },
+    age: {
+        label: 'Similar Age',
+        score: (female, male) =>
+            clampScore(1 - Math.abs(female.age - male.age) / CONFIG.oldAge),
+    },
+    maturity: {
+        label: 'Mature Males',
+        // Fresh adults score 0.5, males halfway through adulthood 1
+        score: (female, male) => clampScore(getStageProgress(male) + 0.5),
+    },
+    genome: {
+        label: 'Fit Genome',
+        // Founder genes (1.0) score 0.5, faster and longer-lived males higher
+        score: (female, male) =>
+            clampScore(
+                (getGene(male, 'speed') + getGene(male, 'lifespan')) / 2 - 0.5
+            ),
+    },
+};
+
+// ============================================================
+// CHOICE
+// ============================================================
+
+/**
+ * Score a male from a female's point of view
+ * Unknown preferences behave like 'any'
+ * @param {Object} female - Choosing female
+ * @param {Object} male - Courting male
+ * @returns {number} Score from 0 to 1
+ */
+export function scoreMate(female, male) {
+    const preference =
+        MATE_PREFERENCES[CONFIG.matePreference] ?? MATE_PREFERENCES.any;
+    return preference.score(female, male);
+}
+
+/**
+ * Check if a male is still waiting out a rejection
+ * @param {Object} male - Male digit
+ * @returns {boolean} True while on cooldown
+ */
+export function isRejected(male) {
+    return state.tick < (male.rejectedUntil ?? 0);
+}
+
+/**
+ * Let a female decide on a male that reached her
+ * A rejection puts him on cooldown and is counted
+ * @param {Object} female - Choosing female
+ * @param {Object} male - Courting male
+ * @returns {boolean} True if she accepts
+ */
+export function chooseMate(female, male) {
+    const score = scoreMate(female, male);
+    if (score >= CONFIG.mateChoiceThreshold) return true;
+
+    male.rejectedUntil =
+        state.tick + Math.round(CONFIG.rejectionCooldownSec * CONFIG.FPS);
+    male.rejectedById = female.id;
+    male.attractionTarget = null;
+    state.epochStats.rejections++;
+
+    emit(EVENTS.REJECTION, {
+        tick: state.tick,
+        maleId: male.id,
+        femaleId: female.id,
+        score,
+    });
+
+    return false;
+}
+
+log(`[${moduleTag(import.meta)}] loaded`);
@@ -0,0 +1,198 @@
+// ============================================================
+// MORTALITY MODULE
+// ============================================================
+// Why digits die before (or at) the end of their lifespan:
+// - Every digit still dies on reaching its maxAge (cause 'oldAge')
+// - On top of that, each step a digit dies with the hazard of
+//   CONFIG.mortalityModel (deaths per second at its age):
+//     none      no background deaths, lifespan only
+//     constant  CONFIG.baseMortality at any age
+//     gompertz  CONFIG.baseMortality, doubling every
+//               CONFIG.mortalityDoublingSec
+//     weibull   shape CONFIG.weibullShape, scaled to the digit's own
+//               lifespan (k > 1 rises with age, k < 1 falls)
+//   plus the hazards of the extra sources in MORTALITY_SOURCES
+//   (crowding, predation, or any registered with addMortalitySource)
+// - A step's hazards are combined into one roll; the death is put down
+//   to a source in proportion to its share of the hazard
+// With all hazards at zero no random numbers are drawn, so runs match
+// the lifespan-only rule. Every death, whatever killed it (also
+// 'orphaned', 'culled'), is counted per cause and life stage in
+// state.epochStats.deaths.
+// ============================================================
+
+import { CONFIG } from '../config/config.js';
+import { state } from './state.js';
+import { LIFE_STAGES, isDependent, isElder } from './lifecycle.js';
+import { countNearby } from '../movement/spatialGrid.js';
+import { random } from '../utils/random.js';
+import { log, moduleTag } from '../utils/utilities.js';
+
+// ============================================================
+// HAZARD MODELS
+// ============================================================
+
+// Each hazard receives the age in seconds and the digit
+export const MORTALITY_MODELS = {
+    none: {
+        label: 'Lifespan Only',
+        hazard: () => 0,
+    },
+    constant: {
+        label: 'Constant',
+        hazard: () => CONFIG.baseMortality,
+    },
+    gompertz: {
+        label: 'Gompertz',
+        hazard: (ageSec) =>
+            CONFIG.baseMortality *
+            2 ** (ageSec / Math.max(0.1, CONFIG.mortalityDoublingSec)),
+    },
+    weibull: {
+        label: 'Weibull',
+        hazard: (ageSec, d) => {
+            const k = CONFIG.weibullShape;
+            const scale = Math.max(1, d.maxAge) / CONFIG.FPS;
+            return (k / scale) * (ageSec / scale) ** (k - 1);
+        },
+    },
+};
+
+// ============================================================
+// EXTRA SOURCES
+// ============================================================
+
+// Cause → { label, hazard(d) }; hazards in deaths per second
+export const MORTALITY_SOURCES = {
+    crowding: {
+        label: 'Crowding',
+        // Reaches CONFIG.crowdingMortality at CONFIG.crowdingLimit neighbors
+        hazard: (d) =>
+            CONFIG.crowdingMortality > 0
+                ? (CONFIG.crowdingMortality *
+                      countNearby(d, CONFIG.crowdingRadius)) /
+                  Math.max(1, CONFIG.crowdingLimit)
+                : 0,
+    },
+    predation: {
+        label: 'Predation',
+        // Predators take the young and the old twice as often
+        hazard: (d) =>
+            CONFIG.predationRate * (isDependent(d) || isElder(d) ? 2 : 1),
+    },
+};
+
+// Labels for causes reported by other modules
+const CAUSE_LABELS = {
+    oldAge: 'Old age',
+    natural: 'Natural causes',
+    orphaned: 'Orphaned',
+    culled: 'Culled',
+    unknown: 'Unknown',
+};
+
+/**
+ * Add a mortality source, e.g. starvation once there is food
+ * @param {string} cause - Cause recorded for its deaths
+ * @param {Object} source - { label, hazard(d) } (deaths per second)
+ */
+export function addMortalitySource(cause, source) {
+    if (cause in MORTALITY_SOURCES) {
+        console.warn(`Mortality source "${cause}" replaced`);
+    }
+    MORTALITY_SOURCES[cause] = source;
+}
+
+/**
+ * Active hazard model, falling back to lifespan only
+ * @returns {Object} Entry of MORTALITY_MODELS
+ */
+function getModel() {
+    return MORTALITY_MODELS[CONFIG.mortalityModel] ?? MORTALITY_MODELS.none;
+}
+
+/**
+ * Readable label for a cause of death
+ * @param {string} cause - Cause key
+ * @returns {string} Label
+ */
+export function getCauseLabel(cause) {
+    return MORTALITY_SOURCES[cause]?.label ?? CAUSE_LABELS[cause] ?? cause;
+}
+
+// ============================================================
+// PER-STEP ROLL
+// ============================================================
+
+/**
+ * Roll whether a digit dies this step, and of what
+ * The caller kills the digit with the returned cause
+ * @param {Object} d - Digit object
+ * @returns {string|null} Cause of death, or null if it survives
+ */
+export function rollMortality(d) {
+    const hazards = [['natural', getModel().hazard(d.age / CONFIG.FPS, d)]];
+    for (const [cause, source] of Object.entries(MORTALITY_SOURCES)) {
+        hazards.push([cause, source.hazard(d)]);
+    }
+
+    let total = 0;
+    for (const [, hazard] of hazards) total += Math.max(0, hazard);
+    if (!(total > 0)) return null;
+
+    // Chance of dying within one step at this combined hazard
+    const chance = 1 - Math.exp(-total / CONFIG.FPS);
+    const roll = random();
+    if (roll >= chance) return null;
+
+    // Reuse the roll to pick the cause by share of the hazard
+    let share = (roll / chance) * total;
+    for (const [cause, hazard] of hazards) {
+        share -= Math.max(0, hazard);
+        if (share < 0) return cause;
+    }
+    return hazards[hazards.length - 1][0];
+}
+
+// ============================================================
+// STATISTICS
+// ============================================================
+
+/**
+ * Count a death by cause and life stage
+ * Called by killDigit for every death
+ * @param {Object} d - Dying digit
+ * @param {string} cause - Cause of death
+ */
+export function recordDeath(d, cause) {
+    const deaths = state.epochStats.deaths;
+    if (!deaths[cause]) {
+        deaths[cause] = { total: 0, ageSecSum: 0, stages: {} };
+    }
+
+    const entry = deaths[cause];
+    entry.total++;
+    entry.ageSecSum += d.age / CONFIG.FPS;
+    entry.stages[d.stage] = (entry.stages[d.stage] ?? 0) + 1;
+}
+
+/**
+ * Deaths this epoch broken down by cause, most frequent first
+ * @returns {Object} { model, stages, causes: [{ cause, label, total,
+ *   meanAgeSec, stages }] }
+ */
+export function collectMortalityStats() {
+    const causes = Object.entries(state.epochStats.deaths)
+        .map(([cause, entry]) => ({
+            cause,
+            label: getCauseLabel(cause),
+            total: entry.total,
+            meanAgeSec: entry.ageSecSum / Math.max(1, entry.total),
+            stages: entry.stages,
+        }))
+        .sort((a, b) => b.total - a.total);
+
+    return { model: getModel().label, stages: LIFE_STAGES, causes };
+}
+
+log(`[${moduleTag(import.meta)}] loaded`);
@@ -7,49 +7,46 @@
 // - Male seeking and pursuing females
 // - Random jitter movement for unbonded digits
 // - Wall collision detection and bouncing
+// - Digit-digit collisions and mate search via the spatial grid
 // - Velocity constraints and physics updates
 // ============================================================
 
 import { CONFIG } from '../config/config.js';
 import { distance, applySpringPhysics } from '../utils/helpers.js';
+import { random, randomAngle } from '../utils/random.js';
 import { state } from './state.js';
-import { updateDigitAppearance } from '../render/render.js';
+import { world } from './world.js';
+import { getDigitScale } from './digit.js';
 import { log, moduleTag } from '../utils/utilities.js';
 import { resolveDigitCollisions } from '../movement/collision.js';
+import { rebuildSpatialGrid, forEachNearby } from '../movement/spatialGrid.js';
 import { validateBonds } from '../model/validation.js';
-
-// ============================================================
-// APPEARANCE CACHE
-// ============================================================
-// Cache appearance calculations to avoid redundant computation
-// Cleared at the start of each frame
-
-let appearanceCache = new WeakMap();
-
-/**
- * Get cached appearance or calculate and cache if not present
- * @param {Object} d - Digit object
- * @returns {Object} Appearance properties
- */
-export function getCachedAppearance(d) {
-    if (!appearanceCache.has(d)) {
-        appearanceCache.set(d, updateDigitAppearance(d));
-    }
-    return appearanceCache.get(d);
-}
-
-/**
- * Clear appearance cache at start of frame
- * Must be called once per frame before any appearance lookups
- */
-export function clearAppearanceCache() {
-    appearanceCache = new WeakMap(); // resets it clea
-}
+import { emit, EVENTS } from './events.js';
+import { chooseMate, isRejected } from './mateChoice.js';
+import { conceives, isWaitingToConceive } from './fertility.js';
+import { createBond, isMourning } from './bonds.js';
+import { isKinshipAllowed } from './kinship.js';
+import { needsCare } from './care.js';
+import { isAdult, onEnterStage } from './lifecycle.js';
+import {
+    getSpeed,
+    getAttractionRadius,
+    getMateDistance,
+    getJitterFactor,
+} from './genome.js';
 
 // ============================================================
 // CONSTANTS
 // ============================================================
 
+// Digit-digit collision resolution
+const COLLISION = {
+    bounceFactor: 0.9, // Energy retention on collision
+    minSeparation: 2, // Minimum space between digits
+    maxIterations: 3, // Collision resolution passes
+    applyVelocity: true, // Apply velocity changes
+};
+
 // Orbital movement configuration
 const ORBIT = {
     childSpeed: 0.01, // Angular velocity for children orbiting mother
@@ -87,31 +84,28 @@ const JITTER = {
 // ============================================================
 
 /**
- * Calculate viewport boundaries accounting for digit size
+ * Calculate world boundaries accounting for digit size
  * @param {number} radius - Half the digit's visual size
  * @returns {Object} Boundary coordinates {left, right, top, bottom}
  */
 function calculateBounds(radius) {
     return {
         left: radius + WALL.margin,
-        right: window.innerWidth - radius - WALL.margin,
+        right: world.width - radius - WALL.margin,
         top: WALL.topMargin + radius + WALL.margin,
-        bottom: window.innerHeight - radius - WALL.margin,
+        bottom: world.height - radius - WALL.margin,
     };
 }
 
 /**
- * Clamp a target position to stay within viewport boundaries
+ * Clamp a target position to stay within world boundaries
  * Unused in current implementation but kept for potential future use
  * @param {Object} target - Target position {x, y}
  */
 function clampTarget(target) {
     const margin = CONFIG.digitSize / 2 + WALL.margin;
-    target.x = Math.max(margin, Math.min(target.x, window.innerWidth - margin));
-    target.y = Math.max(
-        margin,
-        Math.min(target.y, window.innerHeight - margin)
-    );
+    target.x = Math.max(margin, Math.min(target.x, world.width - margin));
+    target.y = Math.max(margin, Math.min(target.y, world.height - margin));
 }
 
 // ============================================================
@@ -124,7 +118,7 @@ function clampTarget(target) {
  */
 function initializeOrbit(d) {
     if (!d.target) d.target = { x: d.x, y: d.y };
-    if (!d.orbitAngle) d.orbitAngle = Math.random() * Math.PI * 2;
+    if (!d.orbitAngle) d.orbitAngle = randomAngle();
 }
 
 /**
@@ -151,7 +145,7 @@ function updateOrbit(
 
     // Calculate orbital radius with random variation
     const radius =
-        CONFIG.bondedOffset * (radiusMin + Math.random() * radiusMax);
+        CONFIG.bondedOffset * (radiusMin + random() * radiusMax);
 
     // Calculate target position on orbit
     d.target.x = center.x + Math.cos(d.orbitAngle) * radius;
@@ -164,29 +158,30 @@ function updateOrbit(
         d.target.y,
         CONFIG.springK * 2.0, // double stiffness
         CONFIG.springDamping * 0.7, // reduce damping slightly
-        CONFIG.speed * 1.5 // boost movement speed
+        getSpeed(d) * 1.5 // boost movement speed
     );
 
     // Add extra jitter if requested (for children)
     if (addJitter) {
-        d.dx += (Math.random() - 0.5) * ORBIT.jitter;
-        d.dy += (Math.random() - 0.5) * ORBIT.jitter;
+        d.dx += (random() - 0.5) * ORBIT.jitter;
+        d.dy += (random() - 0.5) * ORBIT.jitter;
     }
 }
 
 /**
- * Handle child following mother behavior
- * Children orbit their mother until adolescence
+ * Handle child following caretaker behavior
+ * Children orbit their caretaker (mother, father or adopter, see
+ * model/care.js) until adolescence
  * @param {Object} d - Digit object (child)
  * @returns {boolean} True if movement was handled
  */
 function handleChildMovement(d) {
-    if (!d.mother || d.age >= CONFIG.adolescenceAge) return false;
+    if (!d.caretaker || !needsCare(d)) return false;
 
     initializeOrbit(d);
     updateOrbit(
         d,
-        d.mother,
+        d.caretaker,
         ORBIT.childSpeed,
         ORBIT.childRadiusMin,
         ORBIT.childRadiusMax,
@@ -232,48 +227,40 @@ function handleBondedMaleMovement(d) {
 function isValidMatingTarget(female) {
     return (
         female.sex === 'F' &&
-        female.age >= CONFIG.matureAge &&
-        female.age < CONFIG.oldAge &&
+        isAdult(female) &&
         female.gestationTimer === 0 &&
-        !female.bondedTo
+        !female.bondedTo &&
+        !isMourning(female) &&
+        !isWaitingToConceive(female)
     );
 }
 
 /**
  * Find the nearest available female within attraction radius
+ * Relatives excluded by the kinship policy are skipped
  * @param {Object} male - Male digit searching for mate
  * @returns {Object|null} Nearest female or null if none found
  */
 function findNearestFemale(male) {
-    let minDistance = CONFIG.attractionRadius;
+    const radius = getAttractionRadius(male);
+    let minDistance = radius;
     let nearest = null;
 
-    // Search through all digits for valid females
-    for (const female of state.digits) {
-        if (!isValidMatingTarget(female)) continue;
+    // Search only grid cells within the attraction radius
+    forEachNearby(male.x, male.y, radius, (female) => {
+        if (!isValidMatingTarget(female)) return;
+        if (!isKinshipAllowed(female, male)) return;
 
         const dist = distance(male, female);
         if (dist < minDistance) {
             minDistance = dist;
             nearest = female;
         }
-    }
+    });
 
     return nearest;
 }
 
-/**
- * Create a bonded pair between male and female
- * Initiates gestation period for female
- * @param {Object} male - Male digit
- * @param {Object} female - Female digit
- */
-function createBond(male, female) {
-    male.bondedTo = female;
-    female.bondedTo = male;
-    female.gestationTimer = CONFIG.gestation;
-}
-
 /**
  * Move digit toward a target position using angle interpolation
  * @param {Object} d - Digit to move
@@ -297,7 +284,7 @@ function moveTowardTarget(d, target, dist) {
     // Scale speed based on distance (slower when closer)
     //const approachFactor = Math.min(dist / CONFIG.attractionRadius, 1);
     const approachFactor = 1;
-    const speed = CONFIG.speed * speedFactor * approachFactor;
+    const speed = getSpeed(d) * speedFactor * approachFactor;
 
     // Set velocity components
     d.dx = Math.cos(angle) * speed;
@@ -311,7 +298,11 @@ function moveTowardTarget(d, target, dist) {
  * @returns {boolean} True if movement was handled
  */
 function handleSeekingMaleMovement(d) {
-    if (d.sex !== 'M' || d.age < CONFIG.matureAge || d.age >= CONFIG.oldAge) {
+    if (d.sex !== 'M' || !isAdult(d)) return false;
+
+    // A rejected, widowed or unlucky male wanders until his cooldown
+    // is over
+    if (isRejected(d) || isMourning(d) || isWaitingToConceive(d)) {
         return false;
     }
 
@@ -321,13 +312,15 @@ function handleSeekingMaleMovement(d) {
     if (targetFemale) {
         const dist = distance(d, targetFemale);
 
-        // Attempt to bond if close enough
+        // Attempt to bond if close enough and she accepts him;
+        // he keeps courting until the pair conceives
         if (
-            dist <= CONFIG.mateDistance &&
+            dist <= getMateDistance(d) &&
             !d.bondedTo &&
             targetFemale.gestationTimer === 0
         ) {
-            createBond(d, targetFemale);
+            if (!chooseMate(targetFemale, d)) return false;
+            if (conceives(targetFemale, d)) createBond(d, targetFemale);
         }
 
         // Move toward female
@@ -346,6 +339,11 @@ function handleSeekingMaleMovement(d) {
     return true;
 }
 
+// Elders stop courting: drop the pursuit so it is no longer drawn
+onEnterStage('elder', (d) => {
+    d.attractionTarget = null;
+});
+
 // ============================================================
 // JITTER MOVEMENT
 // ============================================================
@@ -358,28 +356,30 @@ function handleSeekingMaleMovement(d) {
 function applyJitterMovement(d) {
     // Calculate age-based jitter scale
     const ageRatio = d.age / d.maxAge;
-    const jitterScale =
+    const ageJitter =
         ageRatio < 0.3
             ? CONFIG.jitterYoung
             : ageRatio < 0.7
             ? 1.0
             : CONFIG.jitterOld;
+    const jitterScale = ageJitter * getJitterFactor(d);
 
     // Add random angle change to current direction
     const currentAngle = Math.atan2(d.dy, d.dx);
     const angle =
         currentAngle +
-        (Math.random() - 0.5) * CONFIG.directionJitter * jitterScale;
+        (random() - 0.5) * CONFIG.directionJitter * jitterScale;
 
     // Add random speed variation
     const speedVariation =
-        (Math.random() - 0.5) * CONFIG.velocityJitter * jitterScale;
-    const baseSpeed = CONFIG.speed * JITTER.baseSpeed;
+        (random() - 0.5) * CONFIG.velocityJitter * jitterScale;
+    const cruiseSpeed = getSpeed(d);
+    const baseSpeed = cruiseSpeed * JITTER.baseSpeed;
     const speed = Math.max(
         baseSpeed,
         Math.min(
-            CONFIG.speed * (1 + speedVariation),
-            CONFIG.speed * JITTER.maxSpeed
+            cruiseSpeed * (1 + speedVariation),
+            cruiseSpeed * JITTER.maxSpeed
         )
     );
 
@@ -424,12 +424,12 @@ function updatePosition(d) {
 
 /**
  * Handle wall collisions with velocity reflection
- * Keeps digits within viewport boundaries
+ * Keeps digits within world boundaries
  * @param {Object} d - Digit object
  */
 function bounceOffWalls(d) {
-    // Get current visual scale for accurate collision detection
-    const { scale } = getCachedAppearance(d);
+    // Get current body scale for accurate collision detection
+    const scale = getDigitScale(d);
     const radius = (CONFIG.digitSize * scale) / 2;
 
     // Calculate viewport boundaries
@@ -477,7 +477,16 @@ export function updateDigitPosition(d) {
     }
 
     // Ensure velocity stays within limits
-    constrainVelocity(d, CONFIG.speed);
+    constrainVelocity(d, getSpeed(d));
+}
+
+/**
+ * Rebuild the spatial grid from current digit positions
+ * Called once at the start of each simulation step; every neighbor
+ * query during the step (attractor, mate search, collisions) uses it
+ */
+export function updateSpatialIndex() {
+    rebuildSpatialGrid(state.digits, COLLISION.minSeparation);
 }
 
 /**
@@ -498,12 +507,7 @@ export function updateAllDigits() {
     }
 
     // Resolve collisions between digits
-    resolveDigitCollisions(digits, {
-        bounceFactor: 0.9, // Energy retention on collision
-        minSeparation: 2, // Minimum space between digits
-        maxIterations: 3, // Collision resolution passes
-        applyVelocity: true, // Apply velocity changes
-    });
+    resolveDigitCollisions(COLLISION);
 
     // Update positions and handle wall collisions
     for (const d of digits) {
@@ -534,7 +538,7 @@ export function seekTarget(d, target, dist) {
 }
 
 /**
- * @deprecated Use createBond instead
+ * @deprecated Use createBond (model/bonds.js) instead
  */
 export function bondPair(male, female) {
     createBond(male, female);
@@ -0,0 +1,269 @@
+// ============================================================
+// NAMING MODULE
+// ============================================================
+// Rules deciding a newborn's name from its parents' names. Rules work
+// on symbol values (a = mother, b = father, see model/symbols.js) and
+// every result is wrapped back into the active symbol set, so counts,
+// stats and the graph keep working. With digits 1-9 the wrap is the
+// digital root. Selected with CONFIG.namingRule:
+// - sum:        a + b (the original rule)
+// - product:    a × b
+// - difference: |a − b|, 0 wraps to the top of sets without a 0
+// - parent:     one parent's name at random
+// - mother:     mother's name, replaced by a random symbol with
+//               probability CONFIG.namingMutationRate
+// - expression: CONFIG.namingExpression over a and b, parsed by the
+//               small evaluator below (never eval), rounded
+// ============================================================
+
+import { CONFIG } from '../config/config.js';
+import { random } from '../utils/random.js';
+import {
+    getSymbols,
+    symbolName,
+    symbolValue,
+    wrapValue,
+} from './symbols.js';
+import { log, moduleTag } from '../utils/utilities.js';
+
+// ============================================================
+// VALUE HELPERS
+// ============================================================
+
+/**
+ * Wrap a rule result into the active symbol set
+ * @param {number} n - Raw result
+ * @returns {number|null} Symbol value, or null if n is not finite
+ */
+function toSymbolValue(n) {
+    if (!Number.isFinite(n)) return null;
+    return wrapValue(Math.round(n));
+}
+
+/**
+ * Random value from the active symbol set
+ * @returns {number} Symbol value
+ */
+function randomSymbolValue() {
+    const symbols = getSymbols();
+    return symbolValue(symbols[Math.floor(random() * symbols.length)]);
+}
+
+// ============================================================
+// EXPRESSION PARSER
+// ============================================================
+// Grammar (usual precedence, ^ is right-associative):
+//   expr    := term (('+' | '-') term)*
+//   term    := power (('*' | '/' | '%') power)*
+//   power   := unary ('^' power)?
+//   unary   := ('+' | '-') unary | primary
+//   primary := number | 'a' | 'b' | func '(' expr (',' expr)* ')' | '(' expr ')'
+
+const EXPRESSION_FUNCTIONS = {
+    abs: Math.abs,
+    min: Math.min,
+    max: Math.max,
+    floor: Math.floor,
+    ceil: Math.ceil,
+    round: Math.round,
+    sqrt: Math.sqrt,
+};
+
+const TOKEN_PATTERN = /\s*(\d+(?:\.\d+)?|[A-Za-z_]\w*|[-+*/%^(),])/y;
+
+/**
+ * Split an expression into tokens
+ * @param {string} source - Expression text
+ * @returns {Array<string>} Tokens
+ * @throws {Error} On characters the grammar does not allow
+ */
+function tokenize(source) {
+    const tokens = [];
+    TOKEN_PATTERN.lastIndex = 0;
+
+    while (TOKEN_PATTERN.lastIndex < source.length) {
+        const start = TOKEN_PATTERN.lastIndex;
+        const match = TOKEN_PATTERN.exec(source);
+        if (!match) {
+            if (source.slice(start).trim() === '') break;
+            throw new Error(`Unexpected character at ${start + 1}`);
+        }
+        tokens.push(match[1]);
+    }
+
+    return tokens;
+}
+
+/**
+ * Compile an expression over a and b into a function
+ * @param {string} source - Expression text, e.g. "a * b + 1"
+ * @returns {Function} (a, b) → number
+ * @throws {Error} If the expression is invalid
+ */
+export function compileExpression(source) {
+    const tokens = tokenize(source);
+    let pos = 0;
+
+    const peek = () => tokens[pos];
+    const next = () => tokens[pos++];
+    const expect = (token) => {
+        if (next() !== token) throw new Error(`Expected "${token}"`);
+    };
+
+    function parseExpr() {
+        let node = parseTerm();
+        while (peek() === '+' || peek() === '-') {
+            const op = next();
+            const left = node;
+            const right = parseTerm();
+            node =
+                op === '+'
+                    ? (a, b) => left(a, b) + right(a, b)
+                    : (a, b) => left(a, b) - right(a, b);
+        }
+        return node;
+    }
+
+    function parseTerm() {
+        let node = parsePower();
+        while (peek() === '*' || peek() === '/' || peek() === '%') {
+            const op = next();
+            const left = node;
+            const right = parsePower();
+            if (op === '*') node = (a, b) => left(a, b) * right(a, b);
+            else if (op === '/') node = (a, b) => left(a, b) / right(a, b);
+            else node = (a, b) => left(a, b) % right(a, b);
+        }
+        return node;
+    }
+
+    function parsePower() {
+        const base = parseUnary();
+        if (peek() !== '^') return base;
+        next();
+        const exponent = parsePower();
+        return (a, b) => Math.pow(base(a, b), exponent(a, b));
+    }
+
+    function parseUnary() {
+        if (peek() === '-') {
+            next();
+            const operand = parseUnary();
+            return (a, b) => -operand(a, b);
+        }
+        if (peek() === '+') {
+            next();
+            return parseUnary();
+        }
+        return parsePrimary();
+    }
+
+    function parsePrimary() {
+        const token = next();
+        if (token === undefined) throw new Error('Unexpected end');
+
+        if (token === '(') {
+            const inner = parseExpr();
+            expect(')');
+            return inner;
+        }
+        if (token === 'a') return (a) => a;
+        if (token === 'b') return (a, b) => b;
+        if (/^\d/.test(token)) {
+            const value = parseFloat(token);
+            return () => value;
+        }
+        if (Object.hasOwn(EXPRESSION_FUNCTIONS, token)) {
+            const fn = EXPRESSION_FUNCTIONS[token];
+            expect('(');
+            const args = [parseExpr()];
+            while (peek() === ',') {
+                next();
+                args.push(parseExpr());
+            }
+            expect(')');
+            return (a, b) => fn(...args.map((arg) => arg(a, b)));
+        }
+
+        throw new Error(`Unknown token "${token}"`);
+    }
+
+    const root = parseExpr();
+    if (pos < tokens.length) throw new Error(`Unexpected "${peek()}"`);
+    return root;
+}
+
+// Last compiled expression, recompiled when CONFIG.namingExpression changes
+const compiled = { source: null, fn: null };
+
+/**
+ * Evaluate CONFIG.namingExpression
+ * @param {number} a - Mother's value
+ * @param {number} b - Father's value
+ * @returns {number|null} Symbol value, or null if invalid
+ */
+function evaluateNamingExpression(a, b) {
+    if (compiled.source !== CONFIG.namingExpression) {
+        compiled.source = CONFIG.namingExpression;
+        try {
+            compiled.fn = compileExpression(CONFIG.namingExpression);
+        } catch (err) {
+            console.warn(
+                `Invalid naming expression "${CONFIG.namingExpression}":`,
+                err.message
+            );
+            compiled.fn = null;
+        }
+    }
+    return compiled.fn ? toSymbolValue(compiled.fn(a, b)) : null;
+}
+
+// ============================================================
+// RULES
+// ============================================================
+
+export const NAMING_RULES = {
+    sum: {
+        label: 'Sum',
+        name: (a, b) => wrapValue(a + b),
+    },
+    product: {
+        label: 'Product',
+        name: (a, b) => wrapValue(a * b),
+    },
+    difference: {
+        label: 'Difference |a − b|',
+        name: (a, b) => wrapValue(Math.abs(a - b)),
+    },
+    parent: {
+        label: 'Random Parent',
+        name: (a, b) => (random() < 0.5 ? a : b),
+    },
+    mother: {
+        label: "Mother's Name (mutating)",
+        name: (a) =>
+            random() < CONFIG.namingMutationRate ? randomSymbolValue() : a,
+    },
+    expression: {
+        label: 'Expression',
+        name: evaluateNamingExpression,
+    },
+};
+
+/**
+ * Name a newborn with the active rule
+ * Unknown rules and invalid expressions fall back to the sum rule
+ * @param {Object} mother - Mother digit
+ * @param {Object} father - Father digit
+ * @returns {string} Child name
+ */
+export function nameOffspring(mother, father) {
+    const a = symbolValue(mother.name);
+    const b = symbolValue(father.name);
+    const rule = NAMING_RULES[CONFIG.namingRule] ?? NAMING_RULES.sum;
+
+    const value = rule.name(a, b) ?? NAMING_RULES.sum.name(a, b);
+    return symbolName(value);
+}
+
+log(`[${moduleTag(import.meta)}] loaded`);
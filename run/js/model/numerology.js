@@ -1,20 +1,157 @@
+// ============================================================
+// NUMEROLOGY MODULE
+// ============================================================
+// Optional trait layer on top of the genome: each digit's value (its
+// symbol value, see model/symbols.js) is reduced to a number 1-9
+// (digital root), whose meaning nudges how it
+// lives:
+// - speedFactor: cruising speed
+// - sociability: how far a male notices females (attraction radius)
+// - fertility:   how fast a pregnancy carries (shorter gestation)
+// - lifespan:    maxAge, applied at birth
+// Enabled with CONFIG.enableNumerology. Speed, sociability and
+// fertility are read live through the trait getters in genome.js, so
+// toggling affects everyone at once; lifespan only applies to digits
+// born while the layer is on.
+// ============================================================
+
+import { CONFIG } from '../config/config.js';
+import { crossSum } from '../utils/helpers.js';
+import { symbolValue } from './symbols.js';
+import { log, moduleTag } from '../utils/utilities.js';
+
+// ============================================================
+// TRAIT TABLE
+// ============================================================
+
 export const NUMEROLOGY = {
-    1: { name: "Independence", color: "#ff4d4d", speedFactor: 1.2 },
-    2: { name: "Harmony", color: "#ffa64d", speedFactor: 0.9 },
-    3: { name: "Expression", color: "#ffff4d", speedFactor: 1.1 },
-    4: { name: "Stability", color: "#4dff4d", speedFactor: 0.8 },
-    5: { name: "Freedom", color: "#4dffff", speedFactor: 1.3 },
-    6: { name: "Care", color: "#4d4dff", speedFactor: 0.9 },
-    7: { name: "Introspection", color: "#b84dff", speedFactor: 0.7 },
-    8: { name: "Power", color: "#ff4db8", speedFactor: 1.1 },
-    9: { name: "Compassion", color: "#ffffff", speedFactor: 1.0 }
+    1: {
+        name: 'Independence',
+        color: '#ff4d4d',
+        speedFactor: 1.2,
+        sociability: 0.7,
+        fertility: 0.9,
+        lifespan: 1.0,
+    },
+    2: {
+        name: 'Harmony',
+        color: '#ffa64d',
+        speedFactor: 0.9,
+        sociability: 1.3,
+        fertility: 1.1,
+        lifespan: 1.0,
+    },
+    3: {
+        name: 'Expression',
+        color: '#ffff4d',
+        speedFactor: 1.1,
+        sociability: 1.2,
+        fertility: 1.0,
+        lifespan: 0.9,
+    },
+    4: {
+        name: 'Stability',
+        color: '#4dff4d',
+        speedFactor: 0.8,
+        sociability: 0.9,
+        fertility: 1.0,
+        lifespan: 1.2,
+    },
+    5: {
+        name: 'Freedom',
+        color: '#4dffff',
+        speedFactor: 1.3,
+        sociability: 1.1,
+        fertility: 0.8,
+        lifespan: 0.9,
+    },
+    6: {
+        name: 'Care',
+        color: '#4d4dff',
+        speedFactor: 0.9,
+        sociability: 1.2,
+        fertility: 1.3,
+        lifespan: 1.0,
+    },
+    7: {
+        name: 'Introspection',
+        color: '#b84dff',
+        speedFactor: 0.7,
+        sociability: 0.6,
+        fertility: 0.8,
+        lifespan: 1.2,
+    },
+    8: {
+        name: 'Power',
+        color: '#ff4db8',
+        speedFactor: 1.1,
+        sociability: 1.0,
+        fertility: 1.1,
+        lifespan: 0.9,
+    },
+    9: {
+        name: 'Compassion',
+        color: '#ffffff',
+        speedFactor: 1.0,
+        sociability: 1.2,
+        fertility: 1.0,
+        lifespan: 1.1,
+    },
 };
 
-// Apply traits on digit creation
+// Used when the layer is off or a value has no entry (e.g. 0)
+const NEUTRAL_TRAITS = {
+    name: 'None',
+    color: '#ffffff',
+    speedFactor: 1,
+    sociability: 1,
+    fertility: 1,
+    lifespan: 1,
+};
+
+// ============================================================
+// LOOKUP
+// ============================================================
+
+/**
+ * Reduce a digit's value to its numerology number
+ * @param {Object} d - Digit object
+ * @returns {number} Digital root of the name's value (0 for value 0)
+ */
+export function getNumerologyNumber(d) {
+    return d.numerology ?? crossSum(symbolValue(d.name), 0);
+}
+
+/**
+ * Traits that currently apply to a digit
+ * @param {Object} d - Digit object
+ * @returns {Object} NUMEROLOGY entry, or neutral traits when disabled
+ */
+export function getNumerologyTraits(d) {
+    if (!CONFIG.enableNumerology) return NEUTRAL_TRAITS;
+    return NUMEROLOGY[getNumerologyNumber(d)] ?? NEUTRAL_TRAITS;
+}
+
+/**
+ * Display color of a digit's numerology number (independent of the toggle)
+ * @param {Object} d - Digit object
+ * @returns {string} Hex color
+ */
+export function getNumerologyColor(d) {
+    return (NUMEROLOGY[getNumerologyNumber(d)] ?? NEUTRAL_TRAITS).color;
+}
+
+// ============================================================
+// BIRTH
+// ============================================================
+
+/**
+ * Record a newborn's numerology number and apply birth-time traits
+ * @param {Object} digit - Digit being created
+ */
 export function applyNumerologyTraits(digit) {
-    const reduced = crossSum(digit.value); // your existing cross-sum function
-    const traits = NUMEROLOGY[reduced];
-    digit.traits = traits;
-    digit.color = traits.color;
-    digit.speed *= traits.speedFactor;
-}
\ No newline at end of file
+    digit.numerology = crossSum(symbolValue(digit.name), 0);
+    digit.maxAge *= getNumerologyTraits(digit).lifespan;
+}
+
+log(`[${moduleTag(import.meta)}] loaded`);
@@ -0,0 +1,162 @@
+// ============================================================
+// POPULATION MODULE
+// ============================================================
+// Density regulation, chosen with CONFIG.populationPolicy:
+//   hardCap       breeding pauses while the population is at
+//                 CONFIG.POP_CAP (pregnancies wait for room)
+//   logistic      CONFIG.POP_CAP is a carrying capacity K; a birth
+//                 succeeds with 1 - N/K
+//   crowding      a birth succeeds with 1 - n/CONFIG.crowdingLimit,
+//                 n = neighbors within CONFIG.crowdingRadius of the
+//                 mother; POP_CAP plays no part
+//   cullOldest    births are unrestricted; each step the digits
+//   cullYoungest  above CONFIG.POP_CAP are culled (cause 'culled'),
+//   cullRandom    oldest, youngest or random first
+// Births turned away at term count as prevented births; the pair
+// carries on as after a miscarriage (model/bonds.js).
+// ============================================================
+
+import { CONFIG } from '../config/config.js';
+import { state } from './state.js';
+import { killDigit } from './digit.js';
+import { countNearby } from '../movement/spatialGrid.js';
+import { random } from '../utils/random.js';
+import { log, moduleTag } from '../utils/utilities.js';
+
+// ============================================================
+// POLICIES
+// ============================================================
+
+export const POPULATION_POLICIES = {
+    hardCap: { label: 'Hard Cap' },
+    logistic: { label: 'Logistic (K = cap)' },
+    crowding: { label: 'Local Crowding' },
+    cullOldest: { label: 'Cull Oldest' },
+    cullYoungest: { label: 'Cull Youngest' },
+    cullRandom: { label: 'Cull Random' },
+};
+
+/**
+ * Active policy key, falling back to the hard cap
+ * @returns {string} Key in POPULATION_POLICIES
+ */
+function getPolicy() {
+    return CONFIG.populationPolicy in POPULATION_POLICIES
+        ? CONFIG.populationPolicy
+        : 'hardCap';
+}
+
+// ============================================================
+// BIRTHS
+// ============================================================
+
+/**
+ * Check if breeding is on hold this step
+ * Only the hard cap pauses breeding; pregnancies do not advance
+ * @returns {boolean} True while at or above the cap
+ */
+export function isBreedingPaused() {
+    return (
+        getPolicy() === 'hardCap' && state.digits.length >= CONFIG.POP_CAP
+    );
+}
+
+/**
+ * Chance that a birth goes ahead under the active policy
+ * @param {Object} mother - Mother digit
+ * @param {number} index - Position in the litter (0 = first child)
+ * @returns {number} Chance 0-1
+ */
+function getBirthChance(mother, index) {
+    switch (getPolicy()) {
+        case 'hardCap':
+            // The first child got past isBreedingPaused already
+            return index === 0 || state.digits.length < CONFIG.POP_CAP ? 1 : 0;
+        case 'logistic':
+            return 1 - state.digits.length / Math.max(1, CONFIG.POP_CAP);
+        case 'crowding':
+            return (
+                1 -
+                countNearby(mother, CONFIG.crowdingRadius) /
+                    Math.max(1, CONFIG.crowdingLimit)
+            );
+        default:
+            return 1; // Culling policies regulate after the fact
+    }
+}
+
+/**
+ * Roll whether one child of a litter is born
+ * Certain births draw no random number, so the hard cap plays out as
+ * before; refused births are counted as prevented
+ * @param {Object} mother - Mother digit
+ * @param {number} index - Position in the litter (0 = first child)
+ * @returns {boolean} True if the child is born
+ */
+export function admitsBirth(mother, index) {
+    const chance = getBirthChance(mother, index);
+    if (chance >= 1) return true;
+    if (chance > 0 && random() < chance) return true;
+
+    state.epochStats.birthsPrevented++;
+    return false;
+}
+
+// ============================================================
+// CULLING
+// ============================================================
+
+/**
+ * Pick the digits to cull, in cull order
+ * @param {number} excess - How many digits are above the cap
+ * @returns {Array<Object>} Digits to cull
+ */
+function selectCulls(excess) {
+    const digits = [...state.digits];
+
+    switch (getPolicy()) {
+        case 'cullOldest':
+            return digits.sort((a, b) => b.age - a.age).slice(0, excess);
+        case 'cullYoungest':
+            return digits.sort((a, b) => a.age - b.age).slice(0, excess);
+        case 'cullRandom':
+            // Partial Fisher-Yates shuffle
+            for (let i = 0; i < excess; i++) {
+                const j = i + Math.floor(random() * (digits.length - i));
+                [digits[i], digits[j]] = [digits[j], digits[i]];
+            }
+            return digits.slice(0, excess);
+        default:
+            return [];
+    }
+}
+
+/**
+ * Cull the population back down to CONFIG.POP_CAP
+ * Only the culling policies act; run once per step after births
+ */
+export function regulatePopulation() {
+    const excess = state.digits.length - CONFIG.POP_CAP;
+    if (excess <= 0) return;
+
+    for (const d of selectCulls(excess)) {
+        killDigit(d, 'culled');
+        state.epochStats.culled++;
+    }
+}
+
+// ============================================================
+// STATISTICS
+// ============================================================
+
+/**
+ * Describe the active regulation policy
+ * Culls and prevented births are counted in state.epochStats
+ * @returns {Object} { policy, label }
+ */
+export function collectPopulationStats() {
+    const policy = getPolicy();
+    return { policy, label: POPULATION_POLICIES[policy].label };
+}
+
+log(`[${moduleTag(import.meta)}] loaded`);
@@ -0,0 +1,107 @@
+// ============================================================
+// DIGIT REGISTRY
+// ============================================================
+// Map of live digits by ID, kept in sync with state.digits.
+// Relationship fields (mother, father, bondedTo, ...) store IDs and
+// resolve through this registry, so:
+// - Lookups and liveness checks are O(1)
+// - Adding and removing a digit is O(1) (swap-remove by slot)
+// - A dead digit's ID simply stops resolving, no ghost references
+// ============================================================
+
+import { state } from './state.js';
+import { log, moduleTag } from '../utils/utilities.js';
+
+// ============================================================
+// MODULE STATE
+// ============================================================
+
+const digitsById = new Map(); // id → digit
+const slotsById = new Map(); // id → index in state.digits
+
+// ============================================================
+// LOOKUPS
+// ============================================================
+
+/**
+ * Resolve a digit ID to the live digit
+ * @param {number|null} id - Digit ID
+ * @returns {Object|null} Live digit or null if dead/unknown
+ */
+export function getDigitById(id) {
+    return digitsById.get(id) ?? null;
+}
+
+/**
+ * Check if a digit is currently alive
+ * @param {Object} d - Digit object
+ * @returns {boolean} True if the digit is registered
+ */
+export function isRegistered(d) {
+    return !!d && digitsById.get(d.id) === d;
+}
+
+/**
+ * Allocate the next monotonically increasing digit ID
+ * @returns {number} New ID
+ */
+export function nextDigitId() {
+    return state.nextDigitId++;
+}
+
+// ============================================================
+// MUTATIONS
+// ============================================================
+
+/**
+ * Add a digit to the registry and state.digits
+ * @param {Object} d - Digit with an assigned id
+ */
+export function registerDigit(d) {
+    digitsById.set(d.id, d);
+    slotsById.set(d.id, state.digits.length);
+    state.digits.push(d);
+}
+
+/**
+ * Remove a digit from the registry and state.digits
+ * Moves the last digit into the freed slot instead of shifting the array
+ * @param {Object} d - Digit to remove
+ */
+export function unregisterDigit(d) {
+    const slot = slotsById.get(d.id);
+    if (slot === undefined) return;
+
+    const last = state.digits.pop();
+    if (last !== d) {
+        state.digits[slot] = last;
+        slotsById.set(last.id, slot);
+    }
+
+    digitsById.delete(d.id);
+    slotsById.delete(d.id);
+}
+
+/**
+ * Remove every digit
+ */
+export function clearRegistry() {
+    digitsById.clear();
+    slotsById.clear();
+    state.digits = [];
+}
+
+/**
+ * Rebuild the registry from state.digits
+ * Use after state.digits was replaced wholesale (e.g. snapshot restore)
+ */
+export function rebuildRegistry() {
+    digitsById.clear();
+    slotsById.clear();
+    state.digits.forEach((d, slot) => {
+        digitsById.set(d.id, d);
+        slotsById.set(d.id, slot);
+    });
+}
+
+log(`[${moduleTag(import.meta)}] loaded`);
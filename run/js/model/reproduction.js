@@ -5,11 +5,36 @@
 import { state } from './state.js';
 import { createDigit } from './digit.js';
 import { CONFIG } from '../config/config.js';
-import { crossSum } from '../utils/helpers.js';
+import { nameOffspring } from './naming.js';
+import { drawLitterSize, miscarries } from './fertility.js';
+import { emit, EVENTS } from './events.js';
+import { afterBirth } from './bonds.js';
+import { admitsBirth, isBreedingPaused } from './population.js';
+import { random } from '../utils/random.js';
 import { log, moduleTag, trace } from '../utils/utilities.js';
 
+/**
+ * Create one child between its parents
+ * @param {Object} f - Mother
+ * @param {Object} m - Father
+ * @returns {Object} Child digit
+ */
+function createOffspring(f, m) {
+    const name = nameOffspring(f, m);
+    const sex = random() < 0.5 ? 'M' : 'F';
+    const x = (f.x + m.x) / 2 + (random() - 0.5) * CONFIG.newbornOffset;
+    const y = (f.y + m.y) / 2 + (random() - 0.5) * CONFIG.newbornOffset;
+
+    return createDigit(name, sex, x, y, CONFIG.newbornSpeedFactor, f, m);
+}
+
+/**
+ * Count down pregnancies and deliver litters at term
+ * Pregnancies can miscarry (model/fertility.js), and births are
+ * subject to the population policy (model/population.js)
+ */
 export function reproduce() {
-    if (state.digits.length >= CONFIG.POP_CAP) return;
+    if (isBreedingPaused()) return;
 
     for (const f of state.digits) {
         if (f.sex === 'F' && f.gestationTimer > 0) {
@@ -17,24 +42,27 @@ export function reproduce() {
 
             if (f.gestationTimer === 0 && f.bondedTo) {
                 const m = f.bondedTo;
-                const name = crossSum(
-                    parseInt(f.name),
-                    parseInt(m.name)
-                ).toString();
-                const sex = Math.random() < 0.5 ? 'M' : 'F';
-                const x =
-                    (f.x + m.x) / 2 +
-                    (Math.random() - 0.5) * CONFIG.newbornOffset;
-                const y =
-                    (f.y + m.y) / 2 +
-                    (Math.random() - 0.5) * CONFIG.newbornOffset;
-
-                createDigit(name, sex, x, y, CONFIG.newbornSpeedFactor, f, m);
-
-                f.lastRepro = state.tick;
-                m.lastRepro = state.tick;
-                f.bondedTo = null;
-                m.bondedTo = null;
+                let born = 0;
+
+                if (miscarries()) {
+                    state.epochStats.miscarriages++;
+                    emit(EVENTS.MISCARRIAGE, {
+                        tick: state.tick,
+                        motherId: f.id,
+                        fatherId: m.id,
+                    });
+                } else {
+                    // Litter members are named and sexed independently
+                    const litterSize = drawLitterSize();
+                    for (let i = 0; i < litterSize; i++) {
+                        if (!admitsBirth(f, i)) break;
+                        createOffspring(f, m);
+                        born++;
+                    }
+                }
+
+                // The pair may stay together for another child
+                afterBirth(m, f, born);
                 //break;
             }
         }
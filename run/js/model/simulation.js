@@ -0,0 +1,328 @@
+// ============================================================
+// SIMULATION ENGINE (Headless)
+// ============================================================
+// Pure simulation core with no window or document access:
+// - Starting digit creation and initialization
+// - Simulation reset and reseeding
+// - Digit lifecycle management (aging, death, reproduction)
+// - One fixed simulation step: lifecycle + movement
+// Time only advances in whole steps (CONFIG.FPS steps per simulated
+// second), so behavior does not depend on the display refresh rate.
+// The browser (control/controls.js) wraps this engine with the
+// animation loop, rendering and UI. Node scripts can drive it
+// directly:
+//
+//   import { initEngine, stepSimulation } from './model/simulation.js';
+//   initEngine({ width: 800, height: 600, seed: 42 });
+//   for (let i = 0; i < 1000; i++) stepSimulation();
+// ============================================================
+
+import { state, createCountsObject, createEpochStats } from './state.js';
+import { createDigit, killDigit } from './digit.js';
+import { initLifeStage, updateLifeStage } from './lifecycle.js';
+import { emit, EVENTS } from './events.js';
+import { getSpeed } from './genome.js';
+import { updateAllDigits, updateSpatialIndex } from './movement.js';
+import { reproduce } from './reproduction.js';
+import { updateBonds } from './bonds.js';
+import { updateCare } from './care.js';
+import { rollMortality } from './mortality.js';
+import { regulatePopulation } from './population.js';
+import { applyAttractorToAll } from './attractor.js';
+import { clearRegistry } from './registry.js';
+import { startSymbolEpoch } from './symbols.js';
+import { planFounders, planImmigrants } from './founders.js';
+import {
+    trackDecline,
+    summarizeEpoch,
+    getExtinctionPolicy,
+} from './extinction.js';
+import { setWorldSize, setClock, now } from './world.js';
+import { CONFIG } from '../config/config.js';
+import { randomAngle, setSeed } from '../utils/random.js';
+import { log, moduleTag } from '../utils/utilities.js';
+
+// ============================================================
+// CONSTANTS
+// ============================================================
+
+// Initial digit movement
+const INITIAL_SETUP = {
+    minSpeed: 0.5, // Minimum initial movement speed
+};
+
+// ============================================================
+// ENGINE SETUP
+// ============================================================
+
+/**
+ * Configure the engine inputs and start a fresh epoch
+ * @param {Object} options - Engine inputs
+ * @param {number} options.width - World width in pixels
+ * @param {number} options.height - World height in pixels
+ * @param {number|string} [options.seed] - Random seed (keeps current if omitted)
+ * @param {Function} [options.clock] - Function returning milliseconds
+ */
+export function initEngine({ width, height, seed, clock } = {}) {
+    if (width !== undefined && height !== undefined) {
+        setWorldSize(width, height);
+    }
+    if (clock) setClock(clock);
+    if (seed !== undefined) setSeed(seed);
+
+    resetSimulation('init');
+}
+
+// ============================================================
+// DIGIT INITIALIZATION
+// ============================================================
+
+/**
+ * Create a digit with initial velocity
+ * Applies random direction and appropriate speed
+ * @param {string} name - Digit identifier
+ * @param {string} sex - Digit sex ('M' or 'F')
+ * @param {number} x - Initial x position
+ * @param {number} y - Initial y position
+ * @returns {Object} Created and initialized digit
+ */
+function createInitialDigit(name, sex, x, y) {
+    const digit = createDigit(name, sex, x, y);
+
+    // Set random initial direction
+    const angle = randomAngle();
+    const speed = Math.max(getSpeed(digit), INITIAL_SETUP.minSpeed);
+
+    digit.dx = Math.cos(angle) * speed;
+    digit.dy = Math.sin(angle) * speed;
+    digit.followTimer = 0; // Start moving immediately
+
+    return digit;
+}
+
+/**
+ * Initialize simulation with the founder population
+ * Layout and ages come from CONFIG.founders (model/founders.js)
+ */
+function initStartingDigits() {
+    placeDigits(planFounders());
+}
+
+/**
+ * Create digits laid out by model/founders.js
+ * @param {Array<Object>} plan - { name, sex, x, y, age } per digit
+ */
+function placeDigits(plan) {
+    for (const { name, sex, x, y, age } of plan) {
+        const digit = createInitialDigit(name, sex, x, y);
+        if (age > 0) {
+            digit.age = Math.min(age, digit.maxAge - 1);
+            initLifeStage(digit);
+        }
+    }
+}
+
+// ============================================================
+// SIMULATION RESET
+// ============================================================
+
+/**
+ * Reset simulation to initial state
+ * Clears all existing digits and creates the founders
+ * Updates reset counter and timestamps for statistics
+ * @param {string} [cause='manual'] - Reported in the reset event
+ */
+export function resetSimulation(cause = 'manual') {
+    // Summarize the epoch that ends here (nothing ran before 'init')
+    const ended = cause === 'init' ? null : summarizeEpoch(cause);
+    if (ended) state.lastEpoch = ended;
+
+    // Clear all existing digits and their counts, keyed by the symbol
+    // set of the new epoch (it may have changed since the last one)
+    clearRegistry();
+    startSymbolEpoch();
+    state.currentCounts = createCountsObject();
+    state.epochCumulativeCounts = createCountsObject();
+
+    // Create the founder population
+    initStartingDigits();
+
+    // Update reset tracking (skip counter increment on first run)
+    if (state.tick > 0) {
+        state.resetCount++;
+    }
+
+    // Reset timing and statistics
+    state.resetStartTime = now();
+    state.epochStats = createEpochStats();
+    state.epochStats.startTick = state.tick;
+
+    emit(EVENTS.RESET, {
+        tick: state.tick,
+        epoch: state.resetCount + 1,
+        cause,
+        ended,
+    });
+}
+
+/**
+ * Reseed the random generator and start a fresh epoch
+ * Two runs started from the same seed and config play out identically
+ * @param {number|string} [seed] - New seed (see parseSeed), none for random
+ * @returns {number} The seed actually applied
+ */
+export function reseedSimulation(seed) {
+    const applied = setSeed(seed);
+    resetSimulation('reseed');
+    return applied;
+}
+
+// ============================================================
+// DIGIT LIFECYCLE
+// ============================================================
+
+/**
+ * Update a single digit for one simulation step
+ * Handles aging, death (lifespan, mortality hazards) and orphan care
+ * @param {Object} digit - Digit to update
+ * @returns {boolean} True if digit was killed this step
+ */
+function updateDigitLifecycle(digit) {
+    // Ages are measured in simulation steps
+    digit.age += 1;
+    updateLifeStage(digit);
+
+    // Check for death from old age
+    if (digit.age > digit.maxAge) {
+        killDigit(digit, 'oldAge');
+        return true; // Digit was killed
+    }
+
+    // Hazards of the mortality model and extra sources
+    const cause = rollMortality(digit);
+    if (cause) {
+        killDigit(digit, cause);
+        return true;
+    }
+
+    // Uncared-for juveniles may not make it
+    if (updateCare(digit)) {
+        killDigit(digit, 'orphaned');
+        return true;
+    }
+
+    return false; // Digit still alive
+}
+
+/**
+ * Update all digits in the simulation
+ * Handles lifecycle, attractor effects and reproduction
+ */
+function updateAllDigitsLifecycle() {
+    // Create copy of array to safely iterate while modifying
+    const digitsSnapshot = [...state.digits];
+
+    // Update each digit's lifecycle
+    for (const digit of digitsSnapshot) {
+        updateDigitLifecycle(digit);
+    }
+
+    // Apply attractor force to surviving digits in range
+    applyAttractorToAll();
+
+    // Handle reproduction for eligible pairs, then age the bonds
+    reproduce();
+    updateBonds();
+
+    // Cull back to the cap under the culling policies
+    regulatePopulation();
+
+    // Note when (and why) the population stops breeding
+    trackDecline();
+
+    if (state.digits.length === 0) {
+        handleExtinction();
+    }
+}
+
+/**
+ * Apply the extinction policy (model/extinction.js)
+ * Runs every step the world is empty, so delayed resets can wait
+ */
+function handleExtinction() {
+    const stats = state.epochStats;
+    const policy = getExtinctionPolicy();
+
+    // Announce the extinction once
+    const announced = stats.extinctTick === null;
+    if (announced) {
+        stats.extinctTick = state.tick;
+        emit(EVENTS.EXTINCTION, {
+            tick: state.tick,
+            policy,
+            summary: summarizeEpoch('extinction'),
+        });
+    }
+
+    switch (policy) {
+        case 'pause':
+            // The UI shows the summary. Single steps while paused leave
+            // the empty world as it is; once resumed (the dialog's New
+            // Epoch or the pause button) the next step starts a new epoch
+            if (announced) state.paused = true;
+            else if (!state.paused) resetSimulation('extinction');
+            break;
+        case 'delayedReset':
+            if (
+                state.tick - stats.extinctTick >=
+                CONFIG.extinctionDelaySec * CONFIG.FPS
+            ) {
+                resetSimulation('extinction');
+            }
+            break;
+        case 'immigrants':
+            // The epoch goes on with newcomers
+            placeDigits(planImmigrants(Math.max(2, CONFIG.immigrantCount)));
+            stats.immigrations++;
+            stats.extinctTick = null;
+            break;
+        default:
+            resetSimulation('extinction');
+    }
+}
+
+// ============================================================
+// SIMULATION STEP
+// ============================================================
+
+/**
+ * Remember where each digit was before this step
+ * Lets the renderer interpolate between the last two steps
+ */
+function storePreviousPositions() {
+    for (const d of state.digits) {
+        d.prevX = d.x;
+        d.prevY = d.y;
+    }
+}
+
+/**
+ * Advance the simulation by one fixed step (1 / CONFIG.FPS seconds)
+ * Lifecycle first (may add/remove digits), then movement and physics
+ */
+export function stepSimulation() {
+    state.tick++;
+
+    storePreviousPositions();
+
+    // Index positions for this step's neighbor queries
+    updateSpatialIndex();
+
+    // Update digit lifecycles (aging, death, reproduction)
+    updateAllDigitsLifecycle();
+
+    // Update digit positions and physics
+    updateAllDigits();
+}
+
+log(`[${moduleTag(import.meta)}] loaded`);
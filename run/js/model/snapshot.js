@@ -0,0 +1,206 @@
+// ============================================================
+// SNAPSHOT MODULE
+// ============================================================
+// Serializes the complete simulation into plain JSON and back:
+// - Digits, with relationships stored as their digit IDs
+// - CONFIG overrides (backing fields and plain settings)
+// - Counters (tick, resetCount, allTimeTotal, counts, ...)
+// - Random generator state, so a restored run continues identically
+// IDs of digits that are no longer alive are kept as-is; they simply do
+// not resolve after restoring, just like in the running simulation.
+// ============================================================
+
+import { state, createEpochStats } from './state.js';
+import { now } from './world.js';
+import { hydrateDigit } from './digit.js';
+import { rebuildRegistry } from './registry.js';
+import { getSymbolSet, startSymbolEpoch } from './symbols.js';
+import {
+    CONFIG,
+    getConfigOverrides,
+    applyConfigOverrides,
+} from '../config/config.js';
+import { normalizeFieldObject } from './fieldObjects.js';
+import { getRngState, setRngState } from '../utils/random.js';
+import { log, moduleTag } from '../utils/utilities.js';
+
+// ============================================================
+// CONSTANTS
+// ============================================================
+
+export const SNAPSHOT_VERSION = 2;
+
+// Digit fields that only make sense in the running page
+const SKIPPED_FIELDS = ['element'];
+
+// Numeric digit fields that may hold ±Infinity (not valid JSON)
+const NON_FINITE_FIELDS = ['lastRepro'];
+
+// Counters a snapshot must carry to be loaded
+const NUMERIC_COUNTERS = [
+    'tick',
+    'resetCount',
+    'allTimeTotal',
+    'rawTotalValue',
+];
+const COUNT_TABLES = ['currentCounts', 'epochCumulativeCounts'];
+
+// ============================================================
+// SERIALIZATION
+// ============================================================
+
+/**
+ * Convert one digit into plain data
+ * Relationship accessors live on the digit prototype, so only the
+ * backing ID fields are copied
+ * @param {Object} d - Digit to serialize
+ * @returns {Object} Plain digit data
+ */
+function serializeDigit(d) {
+    const data = {};
+
+    for (const [key, value] of Object.entries(d)) {
+        if (SKIPPED_FIELDS.includes(key)) continue;
+
+        if (NON_FINITE_FIELDS.includes(key)) {
+            data[key] = Number.isFinite(value) ? value : String(value);
+        } else if (value && typeof value === 'object') {
+            data[key] = structuredClone(value);
+        } else {
+            data[key] = value;
+        }
+    }
+
+    return data;
+}
+
+/**
+ * Capture the complete simulation state
+ * @returns {Object} Snapshot, safe to JSON.stringify
+ */
+export function createSnapshot() {
+    return {
+        version: SNAPSHOT_VERSION,
+        savedAt: new Date(now()).toISOString(),
+        // The running epoch's symbol set, even if CONFIG moved on
+        config: { ...getConfigOverrides(), symbolSet: getSymbolSet().key },
+        rng: getRngState(),
+        counters: {
+            tick: state.tick,
+            nextDigitId: state.nextDigitId,
+            resetCount: state.resetCount,
+            elapsed: now() - state.resetStartTime,
+            allTimeTotal: state.allTimeTotal,
+            rawTotalValue: state.rawTotalValue,
+            currentCounts: structuredClone(state.currentCounts),
+            epochCumulativeCounts: structuredClone(
+                state.epochCumulativeCounts
+            ),
+            epochStats: { ...state.epochStats },
+            lastEpoch: state.lastEpoch,
+        },
+        digits: state.digits.map(serializeDigit),
+    };
+}
+
+// ============================================================
+// DESERIALIZATION
+// ============================================================
+
+/**
+ * Check that data looks like a snapshot this version can load
+ * @param {Object} snapshot - Parsed snapshot
+ * @throws {Error} If the snapshot is missing or has the wrong shape
+ */
+function validateSnapshot(snapshot) {
+    if (!snapshot || typeof snapshot !== 'object') {
+        throw new Error('Invalid snapshot: not an object');
+    }
+    if (snapshot.version !== SNAPSHOT_VERSION) {
+        throw new Error(
+            `Unsupported snapshot version: ${snapshot.version} (expected ${SNAPSHOT_VERSION})`
+        );
+    }
+    if (!Array.isArray(snapshot.digits) || !snapshot.counters) {
+        throw new Error('Invalid snapshot: missing digits or counters');
+    }
+
+    const isObject = (value) => value !== null && typeof value === 'object';
+    const { counters } = snapshot;
+    for (const key of NUMERIC_COUNTERS) {
+        if (!Number.isFinite(counters[key])) {
+            throw new Error(`Invalid snapshot: counter ${key} missing`);
+        }
+    }
+    for (const key of COUNT_TABLES) {
+        const table = counters[key];
+        if (!isObject(table) || !isObject(table.M) || !isObject(table.F)) {
+            throw new Error(`Invalid snapshot: counts ${key} missing`);
+        }
+    }
+    if (!snapshot.digits.every((d) => isObject(d) && Number.isFinite(d.id))) {
+        throw new Error('Invalid snapshot: digit without an ID');
+    }
+    if (snapshot.config !== undefined && !isObject(snapshot.config)) {
+        throw new Error('Invalid snapshot: config is not an object');
+    }
+}
+
+/**
+ * Complete saved field objects, so missing settings cannot turn into
+ * NaN forces
+ * @param {Array<Object>} objects - Field objects from a snapshot
+ * @returns {Array<Object>} Normalized objects (non-objects dropped)
+ */
+function restoreFieldObjects(objects) {
+    if (!Array.isArray(objects)) return [];
+
+    return objects
+        .filter((obj) => obj && typeof obj === 'object')
+        .map((obj, i) => normalizeFieldObject({ id: i + 1, ...obj }));
+}
+
+/**
+ * Restore a snapshot, rebuilding digits and the registry
+ * Everything is checked and built before anything is replaced, so an
+ * invalid snapshot leaves the running simulation untouched
+ * @param {Object} snapshot - Data returned by createSnapshot (after JSON round trip)
+ * @throws {Error} If the snapshot is invalid
+ */
+export function restoreSnapshot(snapshot) {
+    validateSnapshot(snapshot);
+
+    const digits = snapshot.digits.map((data) => {
+        const d = hydrateDigit({ ...data, element: null });
+        for (const key of NON_FINITE_FIELDS) {
+            if (typeof d[key] === 'string') d[key] = Number(d[key]);
+        }
+        return d;
+    });
+    const { counters } = snapshot;
+    const nextDigitId =
+        counters.nextDigitId ?? Math.max(0, ...digits.map((d) => d.id)) + 1;
+
+    // Config before counters: derived frame counts depend on it
+    applyConfigOverrides(snapshot.config || {});
+    CONFIG.fieldObjects = restoreFieldObjects(CONFIG.fieldObjects);
+    startSymbolEpoch();
+    if (snapshot.rng) setRngState(snapshot.rng);
+
+    state.digits = digits;
+    rebuildRegistry();
+    state.nextDigitId = nextDigitId;
+    state.tick = counters.tick;
+    state.resetCount = counters.resetCount;
+    state.resetStartTime = now() - (counters.elapsed || 0);
+    state.allTimeTotal = counters.allTimeTotal;
+    state.rawTotalValue = counters.rawTotalValue;
+    state.currentCounts = counters.currentCounts;
+    state.epochCumulativeCounts = counters.epochCumulativeCounts;
+    state.epochStats = { ...createEpochStats(), ...counters.epochStats };
+    state.lastEpoch = counters.lastEpoch ?? null;
+
+    log(`Snapshot restored: ${digits.length} digits, tick ${state.tick}`);
+}
+
+log(`[${moduleTag(import.meta)}] loaded`);
@@ -3,16 +3,43 @@
 // ============================================================
 
 import { log, moduleTag, trace } from '../utils/utilities.js';
+import { createSymbolCounts } from './symbols.js';
 
+/**
+ * Per-sex counts keyed by the active symbol set (model/symbols.js)
+ * @returns {Object} { M: { symbol: 0, ... }, F: { ... } }
+ */
 export function createCountsObject() {
+    return createSymbolCounts();
+}
+
+/**
+ * Per-epoch event counters shown in the stats bar
+ * @returns {Object} Counters, all zero
+ */
+export function createEpochStats() {
     return {
-        M: { 1: 0, 2: 0, 3: 0, 4: 0, 5: 0, 6: 0, 7: 0, 8: 0, 9: 0 },
-        F: { 1: 0, 2: 0, 3: 0, 4: 0, 5: 0, 6: 0, 7: 0, 8: 0, 9: 0 },
+        rejections: 0, // Males turned down by females (model/mateChoice.js)
+        miscarriages: 0, // Pregnancies lost at term (model/fertility.js)
+        separations: 0, // Bonds broken between living partners (model/bonds.js)
+        birthPartings: 0, // Pairs that parted after a birth
+        widowed: 0, // Bonds ended by a partner's death
+        adoptions: 0, // Juveniles taken over by a father or adopter (model/care.js)
+        culled: 0, // Digits removed by a culling policy (model/population.js)
+        birthsPrevented: 0, // Births refused by the population policy
+        immigrations: 0, // Immigrant waves (model/extinction.js)
+        deaths: {}, // Deaths by cause and stage (model/mortality.js)
+        peakPopulation: 0, // Most digits alive at once
+        startTick: 0, // Tick the epoch started
+        declineReason: null, // Why the population stopped breeding, if it did
+        declineTick: null, // Tick it stopped breeding
+        extinctTick: null, // Tick the last digit died
     };
 }
 
 export const state = {
-    digits: [],
+    digits: [], // Live digits (kept in sync with model/registry.js)
+    nextDigitId: 1, // Monotonically increasing, never reused
     tick: 0,
     resetCount: 0,
     resetStartTime: Date.now(),
@@ -21,9 +48,14 @@ export const state = {
     // Simulation control
     running: false,
     paused: false,
+    timeScale: 1, // Simulation speed multiplier (0.25x slow motion to 10x fast forward)
     animationFrameId: null,
-    currentCounts: createCountsObject(),
-    epochCumulativeCounts: createCountsObject(),
+    // Filled with the active symbols by resetSimulation (CONFIG is not
+    // readable yet while this module loads)
+    currentCounts: { M: {}, F: {} },
+    epochCumulativeCounts: { M: {}, F: {} },
+    epochStats: createEpochStats(),
+    lastEpoch: null, // Summary of the last epoch that ended
 };
 
 log(`[${moduleTag(import.meta)}] loaded`);
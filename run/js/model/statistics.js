@@ -0,0 +1,102 @@
+// ============================================================
+// STATISTICS MODULE (Headless)
+// ============================================================
+// Collects everything the stats bar, table and graph display into
+// one plain object. No DOM access, so it runs next to the engine
+// (main thread or worker) and the result can be posted as-is.
+// ============================================================
+
+import { state } from './state.js';
+import { now } from './world.js';
+import { crossSum } from '../utils/helpers.js';
+import { getSeed } from '../utils/random.js';
+import { averageGenome } from './genome.js';
+import { getSymbols, symbolValue } from './symbols.js';
+import { collectBondStats } from './bonds.js';
+import { collectInbreedingStats } from './kinship.js';
+import { collectPopulationStats } from './population.js';
+import { collectMortalityStats } from './mortality.js';
+import { log, moduleTag } from '../utils/utilities.js';
+
+// ============================================================
+// VALUE SUMS
+// ============================================================
+
+/**
+ * Sum the values of all living digits (symbol values, see symbols.js)
+ * @returns {Object} { crossSum, total }
+ */
+function collectCurrentValue() {
+    let total = 0;
+    let crossSumTotal = 0;
+    for (const d of state.digits) {
+        const digitValue = symbolValue(d.name);
+        total += digitValue;
+        crossSumTotal = crossSum(crossSumTotal, digitValue);
+    }
+    return { crossSum: crossSumTotal, total };
+}
+
+/**
+ * Sum the values of every digit born this epoch plus the living ones
+ * @param {Object} current - Result of collectCurrentValue
+ * @returns {Object} { crossSum, total }
+ */
+function collectEpochValue(current) {
+    let total = 0;
+    let crossSumTotal = 0;
+
+    for (const symbol of getSymbols()) {
+        const n = symbolValue(symbol);
+        const count =
+            (state.epochCumulativeCounts.M[symbol] || 0) +
+            (state.epochCumulativeCounts.F[symbol] || 0);
+        total += n * count;
+        for (let i = 0; i < count; i++) {
+            crossSumTotal = crossSum(crossSumTotal, n);
+        }
+    }
+
+    // include current total to never be zero
+    crossSumTotal = crossSum(crossSumTotal, current.crossSum);
+    total += current.total;
+
+    return { crossSum: crossSumTotal, total };
+}
+
+// ============================================================
+// COLLECTION
+// ============================================================
+
+/**
+ * Gather the statistics for the current frame
+ * @returns {Object} Plain, structured-clone safe statistics
+ */
+export function collectStats() {
+    const currentValue = collectCurrentValue();
+
+    // Raw total of living digit names (also plotted by the graph)
+    state.rawTotalValue = currentValue.total;
+
+    return {
+        epoch: state.resetCount + 1,
+        seed: getSeed(),
+        tick: state.tick,
+        elapsed: now() - state.resetStartTime,
+        population: state.digits.length,
+        currentValue,
+        epochValue: collectEpochValue(currentValue),
+        genome: averageGenome(state.digits),
+        symbols: getSymbols(),
+        epochStats: state.epochStats,
+        bonds: collectBondStats(),
+        inbreeding: collectInbreedingStats(),
+        regulation: collectPopulationStats(),
+        mortality: collectMortalityStats(),
+        lastEpoch: state.lastEpoch,
+        currentCounts: state.currentCounts,
+        epochCumulativeCounts: state.epochCumulativeCounts,
+    };
+}
+
+log(`[${moduleTag(import.meta)}] loaded`);
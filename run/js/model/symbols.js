@@ -0,0 +1,176 @@
+// ============================================================
+// SYMBOLS MODULE
+// ============================================================
+// The alphabet digits are named from, selected with CONFIG.symbolSet.
+// Every symbol has a numeric value; name arithmetic (naming rules,
+// value totals) works on values and wraps results back into the set:
+//   digits   1-9        wrap = digital root (the original behavior)
+//   digits0  0-9        values 0-9, wrap mod 10
+//   numbers  1-N        N = CONFIG.symbolMax
+//   hex      0-F        values 0-15, wrap mod 16
+//   letters  A-Z        alphabet position 1-26 (A + B = C)
+// Counts, stats, the stats table and the renderer derive from the
+// active set, which stays fixed for a whole epoch: CONFIG.symbolSet and
+// CONFIG.symbolMax are read when an epoch starts (startSymbolEpoch),
+// since the counts of the running one are keyed by its symbols.
+// ============================================================
+
+import { CONFIG } from '../config/config.js';
+import { log, moduleTag } from '../utils/utilities.js';
+
+// ============================================================
+// SET DEFINITIONS
+// ============================================================
+
+/**
+ * Build a list of consecutive symbols
+ * @param {number} min - First value
+ * @param {number} max - Last value
+ * @param {Function} toName - value → symbol
+ * @returns {Array<string>} Symbols in value order
+ */
+function range(min, max, toName) {
+    const symbols = [];
+    for (let v = min; v <= max; v++) symbols.push(toName(v));
+    return symbols;
+}
+
+export const SYMBOL_SETS = {
+    digits: {
+        label: 'Digits 1–9',
+        min: 1,
+        max: () => 9,
+        toName: (v) => v.toString(),
+    },
+    digits0: {
+        label: 'Digits 0–9',
+        min: 0,
+        max: () => 9,
+        toName: (v) => v.toString(),
+    },
+    numbers: {
+        label: 'Numbers 1–N',
+        min: 1,
+        max: () => Math.max(2, Math.floor(CONFIG.symbolMax)),
+        toName: (v) => v.toString(),
+    },
+    hex: {
+        label: 'Hexadecimal 0–F',
+        min: 0,
+        max: () => 15,
+        toName: (v) => v.toString(16).toUpperCase(),
+    },
+    letters: {
+        label: 'Letters A–Z',
+        min: 1,
+        max: () => 26,
+        toName: (v) => String.fromCharCode(64 + v),
+    },
+};
+
+// Set of the running epoch, resolved by startSymbolEpoch
+let active = null;
+
+/**
+ * Switch to the symbol set CONFIG selects
+ * Called when an epoch starts or is restored from a snapshot; changes
+ * to CONFIG in between wait for the next call
+ * Unknown CONFIG.symbolSet values fall back to digits 1-9
+ * @returns {Object} The new active set (see getSymbolSet)
+ */
+export function startSymbolEpoch() {
+    const key = SYMBOL_SETS[CONFIG.symbolSet] ? CONFIG.symbolSet : 'digits';
+    const definition = SYMBOL_SETS[key];
+    const max = definition.max();
+
+    if (active && active.key === key && active.max === max) return active;
+
+    const symbols = range(definition.min, max, definition.toName);
+    active = {
+        key,
+        label: definition.label,
+        min: definition.min,
+        max,
+        symbols,
+        values: new Map(symbols.map((s, i) => [s, definition.min + i])),
+        longest: Math.max(...symbols.map((s) => s.length)),
+    };
+    return active;
+}
+
+/**
+ * Symbol set of the running epoch
+ * @returns {Object} { key, label, min, max, symbols, values, longest }
+ */
+export function getSymbolSet() {
+    return active ?? startSymbolEpoch();
+}
+
+// ============================================================
+// VALUES AND ARITHMETIC
+// ============================================================
+
+/**
+ * Ordered list of the active symbols
+ * @returns {Array<string>} Symbols
+ */
+export function getSymbols() {
+    return getSymbolSet().symbols;
+}
+
+/**
+ * Numeric value of a name in the active set
+ * @param {string} name - Digit name
+ * @returns {number} Value (0 for names outside the set)
+ */
+export function symbolValue(name) {
+    return getSymbolSet().values.get(name) ?? 0;
+}
+
+/**
+ * Wrap any integer into the active set's value range
+ * @param {number} n - Raw value
+ * @returns {number} Value between the set's min and max
+ */
+export function wrapValue(n) {
+    const { min, max } = getSymbolSet();
+    const size = max - min + 1;
+    return min + ((((n - min) % size) + size) % size);
+}
+
+/**
+ * Name for a value, wrapped into the active set
+ * @param {number} n - Raw value
+ * @returns {string} Symbol
+ */
+export function symbolName(n) {
+    const { min, symbols } = getSymbolSet();
+    return symbols[wrapValue(n) - min];
+}
+
+/**
+ * Font scale that fits the longest symbol inside a digit
+ * @returns {number} Multiplier on the single-character font size
+ */
+export function getSymbolFontScale() {
+    return 1 / Math.max(1, getSymbolSet().longest * 0.6);
+}
+
+// ============================================================
+// COUNTS
+// ============================================================
+
+/**
+ * Per-sex counter object with a zero for every active symbol
+ * @returns {Object} { M: { symbol: 0, ... }, F: { ... } }
+ */
+export function createSymbolCounts() {
+    const counts = { M: {}, F: {} };
+    for (const symbol of getSymbols()) {
+        counts.M[symbol] = 0;
+        counts.F[symbol] = 0;
+    }
+    return counts;
+}
+
+log(`[${moduleTag(import.meta)}] loaded`);
@@ -1,12 +1,12 @@
-import { state } from '../model/state.js';
+import { isRegistered } from './registry.js';
 import { log, moduleTag, trace, showConfig } from '../utils/utilities.js';
 /**
- * Check if a digit is still active in the global state array
+ * Check if a digit is still alive (O(1) registry lookup)
  * @param {Object} d
  * @returns {boolean}
  */
 export function isAlive(d) {
-    return d && state.digits.includes(d);
+    return isRegistered(d);
 }
 
 /**
@@ -17,22 +17,24 @@ export function isAlive(d) {
 export function validateBonds(d, fix = true) {
     let invalid = false;
 
-    if (d.bondedTo && !isAlive(d.bondedTo)) {
+    // An ID that no longer resolves points at a dead digit
+    if (d.bondedToId !== null && !d.bondedTo) {
         invalid = true;
-        if (fix) d.bondedTo = null;
+        if (fix) d.bondedToId = null;
     }
 
-    if (d.mother && !isAlive(d.mother)) {
+    if (d.motherId !== null && !d.mother) {
         invalid = true;
-        if (fix) d.mother = null;
+        if (fix) d.motherId = null;
     }
 
-    if (d.children && Array.isArray(d.children)) {
-        d.children = d.children.filter(isAlive);
+    if (d.caretakerId && !d.caretaker) {
+        invalid = true;
+        if (fix) d.caretakerId = null;
     }
 
     if (invalid) {
-        console.warn('💀 Ghost bond cleared for digit:', d.id || d);
+        console.warn(`💀 Ghost bond cleared for digit #${d.id}`);
     }
 }
 
@@ -0,0 +1,53 @@
+// ============================================================
+// WORLD MODULE
+// ============================================================
+// The only inputs the simulation engine takes from its host:
+// - World dimensions (the browser passes the canvas size)
+// - A clock returning milliseconds (defaults to Date.now)
+// Nothing in the model may read window or document directly.
+// ============================================================
+
+import { log, moduleTag } from '../utils/utilities.js';
+
+// ============================================================
+// WORLD DIMENSIONS
+// ============================================================
+
+export const world = {
+    width: 800,
+    height: 600,
+};
+
+/**
+ * Set the size of the simulated area in pixels
+ * @param {number} width - World width
+ * @param {number} height - World height
+ */
+export function setWorldSize(width, height) {
+    world.width = width;
+    world.height = height;
+}
+
+// ============================================================
+// CLOCK
+// ============================================================
+
+let clock = () => Date.now();
+
+/**
+ * Replace the wall clock used for timestamps (e.g. a fake clock in tests)
+ * @param {Function} fn - Function returning the current time in milliseconds
+ */
+export function setClock(fn) {
+    clock = fn;
+}
+
+/**
+ * Current time according to the engine clock
+ * @returns {number} Milliseconds
+ */
+export function now() {
+    return clock();
+}
+
+log(`[${moduleTag(import.meta)}] loaded`);
@@ -0,0 +1,200 @@
+// ============================================================
+// SPATIAL HASH GRID
+// ============================================================
+// Uniform grid over the world used for neighbor queries:
+// - Rebuilt once per simulation step (see stepSimulation)
+// - Collision resolution visits only pairs in neighboring cells
+// - Mate search and the attractor only visit cells within their radius
+// Digits that die during the step stay in their cell until the next
+// rebuild, so queries skip them; digits born during the step are
+// picked up at the next rebuild.
+// ============================================================
+
+import { CONFIG } from '../config/config.js';
+import { world } from '../model/world.js';
+import { isRegistered } from '../model/registry.js';
+import { distance } from '../utils/helpers.js';
+import { log, moduleTag } from '../utils/utilities.js';
+
+// ============================================================
+// CONSTANTS
+// ============================================================
+
+const GRID = {
+    minCellSize: 24, // Lower bound so tiny digits do not explode the cell count
+    motionPadding: 2, // Extra cell size per unit of CONFIG.speed (movement between rebuilds)
+};
+
+// ============================================================
+// MODULE STATE
+// ============================================================
+
+const grid = {
+    cellSize: GRID.minCellSize,
+    cols: 0,
+    rows: 0,
+    cells: [], // cells[row * cols + col] → array of digits
+};
+
+// ============================================================
+// CELL HELPERS
+// ============================================================
+
+/**
+ * Column index for an x coordinate (clamped to the grid)
+ * @param {number} x - World x position
+ * @returns {number} Column index
+ */
+function colOf(x) {
+    const col = Math.floor(x / grid.cellSize);
+    return Math.min(Math.max(col, 0), grid.cols - 1);
+}
+
+/**
+ * Row index for a y coordinate (clamped to the grid)
+ * @param {number} y - World y position
+ * @returns {number} Row index
+ */
+function rowOf(y) {
+    const row = Math.floor(y / grid.cellSize);
+    return Math.min(Math.max(row, 0), grid.rows - 1);
+}
+
+/**
+ * Cell size large enough for one-cell-neighborhood collision checks
+ * Two full-grown digits touch at CONFIG.digitSize apart
+ * @param {number} minSeparation - Extra spacing used by collisions
+ * @returns {number} Cell size in pixels
+ */
+function calculateCellSize(minSeparation) {
+    return Math.max(
+        GRID.minCellSize,
+        CONFIG.digitSize + minSeparation + CONFIG.speed * GRID.motionPadding
+    );
+}
+
+// ============================================================
+// BUILD
+// ============================================================
+
+/**
+ * Rebuild the grid from the current digit positions
+ * Cell arrays are reused between rebuilds to avoid garbage
+ * @param {Array} digits - Digits to index
+ * @param {number} [minSeparation=0] - Extra collision spacing to fit in a cell
+ */
+export function rebuildSpatialGrid(digits, minSeparation = 0) {
+    const cellSize = calculateCellSize(minSeparation);
+    const cols = Math.max(1, Math.ceil(world.width / cellSize));
+    const rows = Math.max(1, Math.ceil(world.height / cellSize));
+
+    grid.cellSize = cellSize;
+    grid.cols = cols;
+    grid.rows = rows;
+
+    const cellCount = cols * rows;
+    grid.cells.length = cellCount;
+    for (let i = 0; i < cellCount; i++) {
+        if (grid.cells[i]) grid.cells[i].length = 0;
+        else grid.cells[i] = [];
+    }
+
+    for (const d of digits) {
+        if (!d) continue;
+        grid.cells[rowOf(d.y) * cols + colOf(d.x)].push(d);
+    }
+}
+
+// ============================================================
+// QUERIES
+// ============================================================
+
+/**
+ * Visit every live digit in the cells overlapping a circle
+ * Candidates only: callers still check the exact distance
+ * @param {number} x - Circle center x
+ * @param {number} y - Circle center y
+ * @param {number} radius - Circle radius
+ * @param {Function} visit - Called with each candidate digit
+ */
+export function forEachNearby(x, y, radius, visit) {
+    if (grid.cols === 0) return;
+
+    const colMin = colOf(x - radius);
+    const colMax = colOf(x + radius);
+    const rowMin = rowOf(y - radius);
+    const rowMax = rowOf(y + radius);
+
+    for (let row = rowMin; row <= rowMax; row++) {
+        for (let col = colMin; col <= colMax; col++) {
+            for (const d of grid.cells[row * grid.cols + col]) {
+                if (isRegistered(d)) visit(d);
+            }
+        }
+    }
+}
+
+/**
+ * Count the live digits within a radius of a digit
+ * @param {Object} d - Digit at the center
+ * @param {number} radius - Neighborhood radius
+ * @returns {number} Neighbors within the radius (d itself excluded)
+ */
+export function countNearby(d, radius) {
+    let count = 0;
+    forEachNearby(d.x, d.y, radius, (other) => {
+        if (other !== d && distance(d, other) <= radius) count++;
+    });
+    return count;
+}
+
+/**
+ * Visit every pair of live digits in the same or adjacent cells, once
+ * Covers all pairs closer than the cell size (see rebuildSpatialGrid)
+ * @param {Function} visit - Called with (a, b) for each candidate pair
+ */
+export function forEachNearbyPair(visit) {
+    const { cols, rows, cells } = grid;
+
+    // Half neighborhood so each pair of cells is visited once
+    const forward = [
+        [1, 0],
+        [-1, 1],
+        [0, 1],
+        [1, 1],
+    ];
+
+    for (let row = 0; row < rows; row++) {
+        for (let col = 0; col < cols; col++) {
+            const cell = cells[row * cols + col];
+            if (cell.length === 0) continue;
+
+            // Pairs inside this cell
+            for (let i = 0; i < cell.length; i++) {
+                const a = cell[i];
+                if (!isRegistered(a)) continue;
+                for (let j = i + 1; j < cell.length; j++) {
+                    if (isRegistered(cell[j])) visit(a, cell[j]);
+                }
+            }
+
+            // Pairs with forward neighbor cells
+            for (const [dc, dr] of forward) {
+                const c = col + dc;
+                const r = row + dr;
+                if (c < 0 || c >= cols || r >= rows) continue;
+
+                const other = cells[r * cols + c];
+                if (other.length === 0) continue;
+                for (const a of cell) {
+                    if (!isRegistered(a)) continue;
+                    for (const b of other) {
+                        if (isRegistered(b)) visit(a, b);
+                    }
+                }
+            }
+        }
+    }
+}
+
+log(`[${moduleTag(import.meta)}] loaded`);
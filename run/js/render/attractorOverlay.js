@@ -0,0 +1,198 @@
+// ============================================================
+// ATTRACTOR OVERLAY (Browser-only)
+// ============================================================
+// Debug canvas that visualizes the pointer attractor and the placed
+// field objects (model/fieldObjects.js).
+// Kept out of model/attractor.js so the model never touches the DOM.
+// ============================================================
+
+import { CONFIG } from '../config/config.js';
+import { state } from '../model/state.js';
+import { ATTRACTOR_MODES, getAttractor } from '../model/attractor.js';
+import {
+    FIELD_DEFAULTS,
+    getFieldObjects,
+    getFieldStrength,
+} from '../model/fieldObjects.js';
+import { log, moduleTag } from '../utils/utilities.js';
+
+// --- Debug canvas for lines ---
+let debugCtx = null;
+
+export function initAttractorOverlay() {
+    if (!CONFIG.showAttractorOverlay || debugCtx) return;
+
+    const c = document.createElement('canvas');
+    c.style.position = 'fixed';
+    c.style.left = '0';
+    c.style.top = '0';
+    c.style.pointerEvents = 'none';
+    c.width = window.innerWidth;
+    c.height = window.innerHeight;
+    c.style.zIndex = 9999;
+    document.body.appendChild(c);
+    debugCtx = c.getContext('2d');
+
+    window.addEventListener('resize', () => {
+        c.width = window.innerWidth;
+        c.height = window.innerHeight;
+    });
+}
+
+// --- Draw attractor visual indicator ---
+// --- Draw attractor visual indicator with radial gradient ---
+let pulsePhase = 0;
+
+export function drawAttractorDebug() {
+    if (!debugCtx) return;
+    const attractor = getAttractor();
+    if (!attractor) return;
+
+    // Gradient color follows the mode
+    const color = (ATTRACTOR_MODES[attractor.mode] ?? ATTRACTOR_MODES.attract)
+        .color;
+
+    // Increment pulse animation
+    pulsePhase += 0.1;
+    const pulse = Math.sin(pulsePhase) * 0.5 + 0.5; // Oscillates 0-1
+
+    debugCtx.save();
+
+    // Draw outer radius circle with radial gradient
+    if (CONFIG.attractorRadius && CONFIG.attractorRadius > 0) {
+        const radiusWithPulse = CONFIG.attractorRadius + pulse * 10;
+
+        // Create radial gradient from center to edge
+        const gradient = debugCtx.createRadialGradient(
+            attractor.x,
+            attractor.y,
+            0, // Inner circle (center)
+            attractor.x,
+            attractor.y,
+            radiusWithPulse // Outer circle (edge)
+        );
+
+        // Center is more opaque, edges fade to transparent
+        gradient.addColorStop(0, `rgba(${color}, ${0.3 + pulse * 0.1})`); // Center: 30-40% opacity
+        gradient.addColorStop(0.5, `rgba(${color}, ${0.15 + pulse * 0.05})`); // Middle: 15-20% opacity
+        gradient.addColorStop(0.85, `rgba(${color}, ${0.05 + pulse * 0.02})`); // Near edge: 5-7% opacity
+        gradient.addColorStop(1, `rgba(${color}, 0)`); // Edge: fully transparent
+
+        // Fill with gradient
+        debugCtx.beginPath();
+        debugCtx.arc(attractor.x, attractor.y, radiusWithPulse, 0, Math.PI * 2);
+        debugCtx.fillStyle = gradient;
+        debugCtx.fill();
+
+        // Optional: subtle border at the edge
+        debugCtx.strokeStyle = `rgba(${color}, ${0.15 + pulse * 0.1})`;
+        debugCtx.lineWidth = 1;
+        //debugCtx.stroke();
+    }
+
+    /*  // Draw center point with its own gradient
+    const centerSize = 10 + pulse * 3;
+    const centerGradient = debugCtx.createRadialGradient(
+        attractor.x,
+        attractor.y,
+        0,
+        attractor.x,
+        attractor.y,
+        centerSize
+    );
+    centerGradient.addColorStop(0, `rgba(255, 50, 50, ${0.8 + pulse * 0.2})`); // Bright center
+    centerGradient.addColorStop(0.7, `rgba(255, 0, 0, ${0.5 + pulse * 0.2})`); // Mid
+    centerGradient.addColorStop(1, `rgba(255, 0, 0, ${0.2 + pulse * 0.1})`); // Edge fades
+
+    debugCtx.beginPath();
+    debugCtx.arc(attractor.x, attractor.y, centerSize, 0, Math.PI * 2);
+    debugCtx.fillStyle = centerGradient;
+    debugCtx.fill();
+
+    // Crosshair for precision
+    debugCtx.strokeStyle = `rgba(255, 0, 0, ${0.6 + pulse * 0.2})`;
+    debugCtx.lineWidth = 1.5;
+
+    // Horizontal line
+    debugCtx.beginPath();
+    debugCtx.moveTo(attractor.x - 15, attractor.y);
+    debugCtx.lineTo(attractor.x + 15, attractor.y);
+    debugCtx.stroke();
+
+    // Vertical line
+    debugCtx.beginPath();
+    debugCtx.moveTo(attractor.x, attractor.y - 15);
+    debugCtx.lineTo(attractor.x, attractor.y + 15);
+    debugCtx.stroke(); */
+
+    debugCtx.restore();
+}
+// --- Field object colors (r, g, b) by kind ---
+const FIELD_COLORS = {
+    attractor: '0, 160, 80',
+    repulsor: '0, 90, 255',
+};
+
+// --- Draw placed field objects ---
+// The gradient swells with each object's pulse at the engine's tick
+export function drawFieldObjects(tick) {
+    if (!debugCtx) return;
+
+    debugCtx.save();
+    for (const obj of getFieldObjects()) {
+        const color = FIELD_COLORS[obj.kind] ?? FIELD_COLORS.attractor;
+        const level =
+            obj.strength > 0 ? getFieldStrength(obj, tick) / obj.strength : 0;
+
+        const gradient = debugCtx.createRadialGradient(
+            obj.x,
+            obj.y,
+            0,
+            obj.x,
+            obj.y,
+            obj.radius
+        );
+        gradient.addColorStop(0, `rgba(${color}, ${0.1 + level * 0.2})`);
+        gradient.addColorStop(1, `rgba(${color}, 0)`);
+
+        debugCtx.beginPath();
+        debugCtx.arc(obj.x, obj.y, obj.radius, 0, Math.PI * 2);
+        debugCtx.fillStyle = gradient;
+        debugCtx.fill();
+        debugCtx.strokeStyle = `rgba(${color}, 0.3)`;
+        debugCtx.lineWidth = 1;
+        debugCtx.stroke();
+
+        // Handle for dragging
+        debugCtx.beginPath();
+        const handle = FIELD_DEFAULTS.grabRadius / 2;
+        debugCtx.arc(obj.x, obj.y, handle, 0, Math.PI * 2);
+        debugCtx.fillStyle = `rgba(${color}, 0.8)`;
+        debugCtx.fill();
+    }
+    debugCtx.restore();
+}
+
+// --- Clear debug overlay ---
+export function clearAttractorDebug() {
+    if (debugCtx)
+        debugCtx.clearRect(0, 0, window.innerWidth, window.innerHeight);
+}
+
+// --- Redraw the whole overlay ---
+// Called after every engine frame; input redraws it with the last tick
+let lastTick = 0;
+
+export function drawAttractorOverlay(tick = lastTick) {
+    lastTick = tick;
+    clearAttractorDebug();
+    drawFieldObjects(tick);
+    drawAttractorDebug();
+}
+
+// --- Show input changes while paused (no engine frames redraw then) ---
+export function refreshAttractorOverlay() {
+    if (state.paused) drawAttractorOverlay();
+}
+
+log(`[${moduleTag(import.meta)}] loaded`);
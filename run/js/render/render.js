@@ -10,12 +10,19 @@
 
 import { CONFIG } from '../config/config.js';
 import { log, moduleTag } from '../utils/utilities.js';
-import { handleBall, handleBubble, handleFlat } from '../ui/appearance.js';
+import { getDigitScale } from '../model/digit.js';
 import {
-    getCachedAppearance,
-    clearAppearanceCache,
-} from '../model/movement.js';
-import { getActiveDigits } from '../control/controls.js';
+    getGrowth,
+    getStageProgress,
+    isAdult,
+    isDependent,
+    isElder,
+} from '../model/lifecycle.js';
+import { getSpeed, getAttractionRadius } from '../model/genome.js';
+import { getNumerologyColor } from '../model/numerology.js';
+import { getSymbolFontScale } from '../model/symbols.js';
+import { getDigitById } from '../model/registry.js';
+import { state } from '../model/state.js';
 
 // ============================================================
 // VISUALIZATION TOGGLES
@@ -32,6 +39,9 @@ export const VISUALS = {
     childBonds: { enabled: false, label: 'Child Bonds' },
     attractionLines: { enabled: false, label: 'Attraction Lines' },
     ageIndicator: { enabled: false, label: 'Age Indicator' },
+    digitIds: { enabled: false, label: 'Digit IDs' },
+    rejections: { enabled: false, label: 'Rejections' },
+    numerologyColors: { enabled: false, label: 'Numerology Colors' },
 };
 
 // ============================================================
@@ -92,9 +102,13 @@ const SEARCH_RADIUS_SETTINGS = {
 };
 
 // Bond lines between mated pairs
+// New bonds are drawn thin and light, long-standing ones thick and deep
 const BOND_LINE_SETTINGS = {
-    color: 'rgba(0,200,0,0.2)', // Green line color
-    lineWidth: 1, // Line thickness in pixels
+    newColor: [160, 255, 160], // RGB of a bond that just formed
+    longColor: [0, 150, 0], // RGB of a long-standing bond
+    lineWidth: 1, // Line thickness of a new bond in pixels
+    longLineWidth: 3, // Line thickness of a long-standing bond in pixels
+    longStandingSec: 10, // Bond age at which the line is fully "long"
 };
 
 // Bond lines between children and mothers
@@ -121,6 +135,21 @@ const AGE_INDICATOR_SETTINGS = {
     },
 };
 
+// Digit ID label (drawn below each digit)
+const DIGIT_ID_SETTINGS = {
+    color: 'rgba(255,255,255,0.8)', // Label color
+    fontSize: 10, // Label size in pixels
+    offset: 4, // Gap between digit edge and label in pixels
+};
+
+// Rejected males: ring and line to the female, fading over the cooldown
+const REJECTION_SETTINGS = {
+    color: '255,60,60', // RGB of ring and line
+    maxAlpha: 0.8, // Opacity right after the rejection
+    ringGap: 4, // Gap between digit edge and ring in pixels
+    lineWidth: 2, // Ring and line thickness in pixels
+};
+
 // Motion blur configuration (based on digit velocity)
 const BLUR_SETTINGS = {
     maxBlur: 4, // Maximum blur amount at full speed
@@ -134,6 +163,56 @@ const BLUR_SETTINGS = {
 let canvas = null;
 let ctx = null;
 
+// Interpolation factor between the last two simulation steps (0-1)
+let renderAlpha = 1;
+
+// ============================================================
+// APPEARANCE CACHE
+// ============================================================
+// Cache appearance calculations to avoid redundant computation
+// Cleared at the start of each frame
+
+let appearanceCache = new WeakMap();
+
+/**
+ * Get cached appearance or calculate and cache if not present
+ * @param {Object} d - Digit object
+ * @returns {Object} Appearance properties
+ */
+export function getCachedAppearance(d) {
+    if (!appearanceCache.has(d)) {
+        appearanceCache.set(d, updateDigitAppearance(d));
+    }
+    return appearanceCache.get(d);
+}
+
+/**
+ * Clear appearance cache at start of frame
+ * Must be called once per frame before any appearance lookups
+ */
+export function clearAppearanceCache() {
+    appearanceCache = new WeakMap(); // resets it clea
+}
+
+// ============================================================
+// RENDER INTERPOLATION
+// ============================================================
+
+/**
+ * Get the on-screen position of a digit for the current frame
+ * Blends the previous and current simulation positions so motion
+ * stays smooth when the display rate differs from the step rate
+ * @param {Object} d - Digit object
+ * @returns {Object} Interpolated position {x, y}
+ */
+export function getRenderPosition(d) {
+    if (d.prevX === undefined) return { x: d.x, y: d.y };
+    return {
+        x: d.prevX + (d.x - d.prevX) * renderAlpha,
+        y: d.prevY + (d.y - d.prevY) * renderAlpha,
+    };
+}
+
 // ============================================================
 // INITIALIZATION
 // ============================================================
@@ -141,12 +220,13 @@ let ctx = null;
 /**
  * Initialize the canvas renderer
  * Must be called before any rendering operations
+ * Works with a DOM canvas or an OffscreenCanvas inside a worker
+ * @param {HTMLCanvasElement|OffscreenCanvas} [target] - Canvas to draw on (defaults to #dslCanvas)
  * @returns {Object} Object containing canvas and context references
  * @throws {Error} If canvas element is not found
  */
-export function initCanvasRenderer() {
-    // Get canvas element from DOM
-    canvas = document.getElementById('dslCanvas');
+export function initCanvasRenderer(target) {
+    canvas = target ?? document.getElementById('dslCanvas');
     if (!canvas) {
         throw new Error('Canvas element not found: #dslCanvas');
     }
@@ -159,6 +239,44 @@ export function initCanvasRenderer() {
     return { canvas, ctx };
 }
 
+/**
+ * Resize the drawing surface
+ * @param {number} width - New width in pixels
+ * @param {number} height - New height in pixels
+ */
+export function resizeCanvasRenderer(width, height) {
+    if (!canvas) return;
+    canvas.width = width;
+    canvas.height = height;
+}
+
+// ============================================================
+// OVERLAY TOGGLES
+// ============================================================
+
+/**
+ * Current on/off state of every VISUALS entry
+ * Plain data, so it can be posted to a worker
+ * @returns {Object} Map of VISUALS key → enabled
+ */
+export function getVisualToggles() {
+    const toggles = {};
+    for (const [key, visual] of Object.entries(VISUALS)) {
+        toggles[key] = visual.enabled;
+    }
+    return toggles;
+}
+
+/**
+ * Apply toggles produced by getVisualToggles
+ * @param {Object} toggles - Map of VISUALS key → enabled
+ */
+export function setVisualToggles(toggles) {
+    for (const [key, enabled] of Object.entries(toggles)) {
+        if (VISUALS[key]) VISUALS[key].enabled = enabled;
+    }
+}
+
 // ============================================================
 // APPEARANCE PRESETS
 // ============================================================
@@ -213,6 +331,9 @@ export function flat() {
     VISUALS.glow.enabled = false;
 }
 
+// Name of the preset applied last
+let appearance = 'flat';
+
 /**
  * Select an appearance preset by name
  * @param {string} preset - Name of preset ('ball', 'bubble', or 'flat')
@@ -220,15 +341,24 @@ export function flat() {
  */
 export function setAppearance(preset) {
     if (preset === 'bubble') {
-        handleBubble();
-        return 'bubble';
+        bubble();
+        appearance = 'bubble';
     } else if (preset === 'ball') {
-        handleBall();
-        return 'ball';
+        ball();
+        appearance = 'ball';
     } else {
-        handleFlat();
-        return 'flat';
+        flat();
+        appearance = 'flat';
     }
+    return appearance;
+}
+
+/**
+ * Name of the active appearance preset
+ * @returns {string} 'ball', 'bubble', or 'flat'
+ */
+export function getAppearance() {
+    return appearance;
 }
 
 // ============================================================
@@ -278,10 +408,21 @@ function parseAlpha(str) {
 // APPEARANCE CALCULATION
 // ============================================================
 
+/**
+ * Parse a "#rrggbb" color
+ * @param {string} hex - Hex color string
+ * @returns {Object} RGB color components {r, g, b}
+ */
+function parseHexColor(hex) {
+    const value = parseInt(hex.slice(1), 16);
+    return { r: (value >> 16) & 255, g: (value >> 8) & 255, b: value & 255 };
+}
+
 /**
  * Calculate base color (RGB) for a digit based on sex and maturity
  * Males: white → blue as they mature
  * Females: white → pink as they mature
+ * With numerology colors on: white → the number's color
  * @param {Object} d - Digit object
  * @param {number} maturityRatio - Maturity progress (0.0-1.0)
  * @returns {Object} RGB color components {r, g, b}
@@ -289,7 +430,12 @@ function parseAlpha(str) {
 function calculateDigitColor(d, maturityRatio) {
     let r, g, b;
 
-    if (d.sex === 'M') {
+    if (VISUALS.numerologyColors.enabled) {
+        const target = parseHexColor(getNumerologyColor(d));
+        r = Math.floor(255 + maturityRatio * (target.r - 255));
+        g = Math.floor(255 + maturityRatio * (target.g - 255));
+        b = Math.floor(255 + maturityRatio * (target.b - 255));
+    } else if (d.sex === 'M') {
         // Males: light blue (255,255,255) → darker blue (100,160,255)
         r = Math.floor(255 + maturityRatio * (100 - 255));
         g = Math.floor(255 + maturityRatio * (160 - 255));
@@ -311,24 +457,12 @@ function calculateDigitColor(d, maturityRatio) {
  * @returns {number} Opacity value (0.0-1.0)
  */
 function calculateOpacity(d) {
-    if (d.age < CONFIG.oldAge) {
+    if (!isElder(d)) {
         return 1.0;
     }
 
     // Cubic fade for smoother transition
-    const ageProgress = (d.age - CONFIG.oldAge) / (d.maxAge - CONFIG.oldAge);
-    return Math.pow(1 - ageProgress, 3);
-}
-
-/**
- * Calculate scale for a digit based on age
- * Grows from 30% to 100% as digit matures
- * @param {Object} d - Digit object
- * @returns {number} Scale multiplier (0.3-1.0)
- */
-function calculateScale(d) {
-    const maturityRatio = Math.min(d.age / CONFIG.matureAge, 1);
-    return 0.3 + maturityRatio * 0.7;
+    return Math.pow(1 - getStageProgress(d), 3);
 }
 
 /**
@@ -339,9 +473,9 @@ function calculateScale(d) {
  */
 export function updateDigitAppearance(d) {
     // Calculate basic age-based properties
-    const scale = calculateScale(d);
+    const scale = getDigitScale(d);
     const opacity = calculateOpacity(d);
-    const maturityRatio = Math.min(d.age / CONFIG.matureAge, 1);
+    const maturityRatio = getGrowth(d);
 
     // Calculate base color based on sex and maturity
     const { r, g, b } = calculateDigitColor(d, maturityRatio);
@@ -381,17 +515,18 @@ export function updateDigitAppearance(d) {
 
     // Calculate motion blur based on velocity
     const speed = Math.hypot(d.dx || 0, d.dy || 0);
-    const blur = Math.min(speed / CONFIG.speed, 1) * BLUR_SETTINGS.maxBlur;
+    const blur = Math.min(speed / getSpeed(d), 1) * BLUR_SETTINGS.maxBlur;
 
     // Calculate light source position for gradient
     const size = CONFIG.digitSize * scale;
+    const { x, y } = getRenderPosition(d);
     const lx =
-        d.x -
+        x -
         Math.cos(GLOBE_SETTINGS.lightAngle) *
             GLOBE_SETTINGS.lightDistance *
             size;
     const ly =
-        d.y -
+        y -
         Math.sin(GLOBE_SETTINGS.lightAngle) *
             GLOBE_SETTINGS.lightDistance *
             size;
@@ -443,6 +578,7 @@ function renderRingEffect(
     const baseRadius = size / 2;
     const scaleFactor = size / CONFIG.digitSize;
     const rings = 15; // Number of concentric rings to draw
+    const { x, y } = getRenderPosition(d);
 
     ctx.save();
     ctx.globalCompositeOperation = 'destination-over'; // Render behind digit
@@ -464,8 +600,8 @@ function renderRingEffect(
             // Draw ring as donut shape (outer circle minus inner circle)
             ctx.fillStyle = `rgba(${rgb[0]},${rgb[1]},${rgb[2]},${alpha})`;
             ctx.beginPath();
-            ctx.arc(d.x + offsetX, d.y + offsetY, outerRadius, 0, Math.PI * 2);
-            ctx.arc(d.x, d.y, baseRadius, 0, Math.PI * 2, true); // Subtract inner
+            ctx.arc(x + offsetX, y + offsetY, outerRadius, 0, Math.PI * 2);
+            ctx.arc(x, y, baseRadius, 0, Math.PI * 2, true); // Subtract inner
             ctx.closePath();
             ctx.fill('evenodd');
         }
@@ -562,16 +698,17 @@ function renderAgeIndicator(d, size, props) {
 
     // Determine color based on life stage
     let colorKey;
-    if (d.age < CONFIG.matureAge) {
-        colorKey = 'young';
-    } else if (d.age < CONFIG.oldAge) {
+    if (isElder(d)) {
+        colorKey = 'old';
+    } else if (isAdult(d)) {
         colorKey = 'mature';
     } else {
-        colorKey = 'old';
+        colorKey = 'young';
     }
 
     // Parse color and apply opacity
     const [r, g, b] = parseRGB(AGE_INDICATOR_SETTINGS.colors[colorKey]);
+    const { x, y } = getRenderPosition(d);
 
     // Draw arc showing remaining life (counter-clockwise from top)
     ctx.save();
@@ -579,8 +716,8 @@ function renderAgeIndicator(d, size, props) {
     ctx.lineWidth = AGE_INDICATOR_SETTINGS.width;
     ctx.strokeStyle = `rgba(${r},${g},${b},${props.opacity})`;
     ctx.arc(
-        d.x,
-        d.y,
+        x,
+        y,
         ringRadius,
         -Math.PI / 2, // Start at top
         -Math.PI / 2 - Math.PI * 2 * remaining, // Sweep counter-clockwise
@@ -591,6 +728,62 @@ function renderAgeIndicator(d, size, props) {
     ctx.restore();
 }
 
+/**
+ * Render the digit's registry ID below it
+ * Lets log messages and exports that mention "#id" be matched on screen
+ * @param {Object} d - Digit object
+ * @param {number} size - Digit size
+ */
+function renderDigitId(d, size) {
+    if (!VISUALS.digitIds.enabled) return;
+
+    const { x, y } = getRenderPosition(d);
+
+    ctx.save();
+    ctx.fillStyle = DIGIT_ID_SETTINGS.color;
+    ctx.font = `${DIGIT_ID_SETTINGS.fontSize}px ${TEXT_SETTINGS.font}`;
+    ctx.textAlign = 'center';
+    ctx.textBaseline = 'top';
+    ctx.fillText(`#${d.id}`, x, y + size / 2 + DIGIT_ID_SETTINGS.offset);
+    ctx.restore();
+}
+
+/**
+ * Render a fading ring around a recently rejected male
+ * and a line to the female who turned him down
+ * @param {Object} d - Digit object
+ * @param {number} size - Digit size
+ */
+function renderRejection(d, size) {
+    if (!VISUALS.rejections.enabled) return;
+
+    const remaining = (d.rejectedUntil ?? 0) - state.tick;
+    if (remaining <= 0) return;
+
+    const cooldown = Math.max(1, CONFIG.rejectionCooldownSec * CONFIG.FPS);
+    const alpha =
+        REJECTION_SETTINGS.maxAlpha * Math.min(1, remaining / cooldown);
+    const { x, y } = getRenderPosition(d);
+
+    ctx.save();
+    ctx.strokeStyle = `rgba(${REJECTION_SETTINGS.color},${alpha})`;
+    ctx.lineWidth = REJECTION_SETTINGS.lineWidth;
+    ctx.beginPath();
+    ctx.arc(x, y, size / 2 + REJECTION_SETTINGS.ringGap, 0, Math.PI * 2);
+    ctx.stroke();
+
+    const female = getDigitById(d.rejectedById);
+    if (female) {
+        const target = getRenderPosition(female);
+        ctx.setLineDash([4, 4]);
+        ctx.beginPath();
+        ctx.moveTo(x, y);
+        ctx.lineTo(target.x, target.y);
+        ctx.stroke();
+    }
+    ctx.restore();
+}
+
 /**
  * Render search radius circle for mature males
  * Shows the range in which males can detect potential mates
@@ -598,14 +791,16 @@ function renderAgeIndicator(d, size, props) {
  */
 function renderSearchRadius(d) {
     if (!VISUALS.searchRadius.enabled) return;
-    if (d.sex !== 'M' || d.age < CONFIG.matureAge) return;
+    if (d.sex !== 'M' || !isAdult(d)) return;
+
+    const { x, y } = getRenderPosition(d);
 
     ctx.save();
     ctx.fillStyle = `rgba(0,0,255,${SEARCH_RADIUS_SETTINGS.fillOpacity})`;
     ctx.strokeStyle = SEARCH_RADIUS_SETTINGS.color;
     ctx.lineWidth = SEARCH_RADIUS_SETTINGS.lineWidth;
     ctx.beginPath();
-    ctx.arc(d.x, d.y, CONFIG.attractionRadius, 0, Math.PI * 2);
+    ctx.arc(x, y, getAttractionRadius(d), 0, Math.PI * 2);
     ctx.fill();
     ctx.stroke();
     ctx.closePath();
@@ -620,8 +815,7 @@ function renderSearchRadius(d) {
  */
 function renderAttractionLine(d, activeSet) {
     if (!VISUALS.attractionLines.enabled) return;
-    if (d.sex !== 'M') return;
-    if (d.age < CONFIG.matureAge || d.age >= CONFIG.oldAge) return;
+    if (d.sex !== 'M' || !isAdult(d)) return;
     if (!d.attractionTarget) return;
 
     const target = d.attractionTarget;
@@ -631,20 +825,21 @@ function renderAttractionLine(d, activeSet) {
         target &&
         activeSet.has(target) &&
         target.sex === 'F' &&
-        target.age >= CONFIG.matureAge &&
-        target.age < CONFIG.oldAge &&
+        isAdult(target) &&
         target.gestationTimer === 0 &&
         !target.bondedTo;
 
     if (!isValidTarget) return;
 
     // Draw line from male to female
+    const from = getRenderPosition(d);
+    const to = getRenderPosition(target);
     ctx.save();
     ctx.strokeStyle = ATTRACTION_LINE_SETTINGS.maleToFemale.color;
     ctx.lineWidth = ATTRACTION_LINE_SETTINGS.maleToFemale.width;
     ctx.beginPath();
-    ctx.moveTo(d.x, d.y);
-    ctx.lineTo(target.x, target.y);
+    ctx.moveTo(from.x, from.y);
+    ctx.lineTo(to.x, to.y);
     ctx.stroke();
     ctx.restore();
 }
@@ -667,6 +862,8 @@ export function renderDigit(d, activeSet) {
     // Skip rendering if opacity is too low (prevents visual artifacts)
     if (props.opacity < 0.01) return;
 
+    const { x, y } = getRenderPosition(d);
+
     // Render external effects first (behind main digit)
     renderGlow(d, size);
     renderDropShadow(d, size);
@@ -679,8 +876,8 @@ export function renderDigit(d, activeSet) {
         props.lx, // Highlight center X
         props.ly, // Highlight center Y
         size * 0.1, // Inner radius (small bright spot)
-        d.x, // Outer center X
-        d.y, // Outer center Y
+        x, // Outer center X
+        y, // Outer center Y
         size / 2 // Outer radius (full digit size)
     );
 
@@ -690,7 +887,7 @@ export function renderDigit(d, activeSet) {
     gradient.addColorStop(1, props.shadowRGBA); // Dark edge (most transparent)
 
     ctx.fillStyle = gradient;
-    ctx.arc(d.x, d.y, size / 2, 0, Math.PI * 2);
+    ctx.arc(x, y, size / 2, 0, Math.PI * 2);
     ctx.fill();
     ctx.closePath();
 
@@ -703,16 +900,19 @@ export function renderDigit(d, activeSet) {
     // Draw digit name/number in center
     ctx.globalAlpha = props.opacity;
     ctx.fillStyle = props.textColor;
-    ctx.font = `${size * 0.6}px ${props.font}`;
+    // Shrink the font so the longest symbol of the set fits
+    ctx.font = `${size * 0.6 * getSymbolFontScale()}px ${props.font}`;
     ctx.textAlign = 'center';
     ctx.textBaseline = 'middle';
-    ctx.fillText(d.name, d.x, d.y);
+    ctx.fillText(d.name, x, y);
 
     ctx.restore();
 
     // Draw simulation overlays (not affected by globe transparency)
     renderSearchRadius(d);
     renderAttractionLine(d, activeSet);
+    renderDigitId(d, size);
+    renderRejection(d, size);
 }
 // ============================================================
 // BOND RENDERING (Ghost-Safe + Optimized)
@@ -725,13 +925,25 @@ export function renderDigit(d, activeSet) {
  * @returns {number} Fade factor (0.0–1.0)
  */
 function calculateBondFade(d) {
-    if (d.age < CONFIG.oldAge) return 1.0;
-    return 1 - (d.age - CONFIG.oldAge) / (d.maxAge - CONFIG.oldAge);
+    if (!isElder(d)) return 1.0;
+    return 1 - getStageProgress(d);
+}
+
+/**
+ * How long-standing a digit's current bond is
+ * @param {Object} d - Bonded digit
+ * @returns {number} 0 for a new bond up to 1 after longStandingSec
+ */
+function calculateBondMaturity(d) {
+    if (d.bondedSince === null || d.bondedSince === undefined) return 0;
+    const longStanding = BOND_LINE_SETTINGS.longStandingSec * CONFIG.FPS;
+    return Math.min(1, (state.tick - d.bondedSince) / longStanding);
 }
 
 /**
  * Render all bond lines between digits
- * Includes mate bonds (green) and child-mother bonds (orange)
+ * Includes mate bonds (green, deeper and thicker the longer they last)
+ * and child-mother bonds (orange)
  * @param {Array} digits - Array of all digits
  * @param {Set} activeSet - Optional set of active digits for quick lookup
  */
@@ -751,6 +963,8 @@ export function renderBonds(digits, activeSet) {
     for (const d of digits) {
         if (!d) continue; // Skip null or undefined entries
 
+        const from = getRenderPosition(d);
+
         // ============================================================
         // MATE BONDS (Green lines between bonded pairs)
         // ============================================================
@@ -770,33 +984,39 @@ export function renderBonds(digits, activeSet) {
                 calculateBondFade(partner)
             );
 
-            // Draw bond line with age-based fading
-            ctx.strokeStyle = BOND_LINE_SETTINGS.color.replace(
-                /[\d.]+\)$/,
-                `${alpha})`
+            // Color and width follow how long the pair has been together
+            const maturity = calculateBondMaturity(d);
+            const [r, g, b] = BOND_LINE_SETTINGS.newColor.map((c, i) =>
+                Math.round(c + (BOND_LINE_SETTINGS.longColor[i] - c) * maturity)
             );
-            ctx.lineWidth = BOND_LINE_SETTINGS.lineWidth;
+            ctx.strokeStyle = `rgba(${r},${g},${b},${alpha})`;
+            ctx.lineWidth =
+                BOND_LINE_SETTINGS.lineWidth +
+                (BOND_LINE_SETTINGS.longLineWidth -
+                    BOND_LINE_SETTINGS.lineWidth) *
+                    maturity;
+            const to = getRenderPosition(partner);
             ctx.beginPath();
-            ctx.moveTo(d.x, d.y);
-            ctx.lineTo(partner.x, partner.y);
+            ctx.moveTo(from.x, from.y);
+            ctx.lineTo(to.x, to.y);
             ctx.stroke();
         }
 
         // ============================================================
-        // CHILD–MOTHER BONDS (Orange lines)
+        // CHILD–CARETAKER BONDS (Orange lines, usually to the mother)
         // ============================================================
-        if (VISUALS.childBonds.enabled && d.mother) {
-            const mom = d.mother;
+        if (VISUALS.childBonds.enabled && d.caretaker) {
+            const mom = d.caretaker;
 
-            // 👻 Ghost-check: ensure mother still exists and is active
+            // 👻 Ghost-check: ensure caretaker still exists and is active
             if (!mom || !activeSet.has(mom)) {
                 // Optional: mark for cleanup
                 // console.debug(`Ghost mother bond skipped for ID ${d.id}`);
                 continue;
             }
 
-            // Only draw if child not yet adolescent
-            if (d.age < CONFIG.adolescenceAge) {
+            // Only draw while the child still depends on its caretaker
+            if (isDependent(d)) {
                 const fade = 1 - d.age / CONFIG.adolescenceAge;
 
                 ctx.strokeStyle = CHILD_BOND_LINE_SETTINGS.color.replace(
@@ -804,9 +1024,10 @@ export function renderBonds(digits, activeSet) {
                     `${fade})`
                 );
                 ctx.lineWidth = CHILD_BOND_LINE_SETTINGS.lineWidth;
+                const to = getRenderPosition(mom);
                 ctx.beginPath();
-                ctx.moveTo(d.x, d.y);
-                ctx.lineTo(mom.x, mom.y);
+                ctx.moveTo(from.x, from.y);
+                ctx.lineTo(to.x, to.y);
                 ctx.stroke();
             }
         }
@@ -824,10 +1045,13 @@ export function renderBonds(digits, activeSet) {
  * This is the main entry point for each frame
  * @param {Array} digits - Array of active digits to render
  * @param {Set} activeSet - Set of active digits for efficient lookup
+ * @param {number} alpha - Interpolation factor between the last two steps (0-1)
  */
-export function renderAll(digits, activeSet) {
+export function renderAll(digits, activeSet, alpha = 1) {
     if (!ctx) return;
 
+    renderAlpha = alpha;
+
     // Clear previous frame
     ctx.clearRect(0, 0, canvas.width, canvas.height);
 
@@ -0,0 +1,53 @@
+// ============================================================
+// SIMULATION WORKER ENTRY POINT
+// ============================================================
+// Runs the engine, the fixed-step loop and the renderer off the main
+// thread, drawing to the OffscreenCanvas received with "start".
+// Messages in:  { type: 'invoke', id, command, args } (see control/commands.js)
+//               id is null for fire-and-forget mirrors
+// Messages out: { type: 'ready' } once modules have loaded
+//               { type: 'result', id, result | error } per request
+//               { type: 'frame', stats, events } after every rendered frame,
+//               events being the simulation events since the last frame
+// ============================================================
+
+import { COMMANDS } from './control/commands.js';
+import { setFrameListener } from './control/controls.js';
+import { collectStats } from './model/statistics.js';
+import { onAny } from './model/events.js';
+import { log, moduleTag } from './utils/utilities.js';
+
+// Simulation events are batched and sent with the next frame
+let pendingEvents = [];
+onAny((type, payload) => pendingEvents.push({ type, payload }));
+
+setFrameListener(() => {
+    self.postMessage({
+        type: 'frame',
+        stats: collectStats(),
+        events: pendingEvents,
+    });
+    pendingEvents = [];
+});
+
+self.addEventListener('message', ({ data }) => {
+    if (data.type !== 'invoke') return;
+
+    const { id, command, args = [] } = data;
+    try {
+        if (!COMMANDS[command]) {
+            throw new Error(`Unknown engine command: ${command}`);
+        }
+        const result = COMMANDS[command](...args);
+        if (id !== null) self.postMessage({ type: 'result', id, result });
+    } catch (err) {
+        console.error(err);
+        if (id !== null) {
+            self.postMessage({ type: 'result', id, error: err.message });
+        }
+    }
+});
+
+self.postMessage({ type: 'ready' });
+
+log(`[${moduleTag(import.meta)}] loaded`);
@@ -1,29 +1,39 @@
-import { flat, ball, bubble, VISUALS } from '../render/render.js';
+import { setAppearance, getVisualToggles, VISUALS } from '../render/render.js';
+import { mirror } from '../control/simulationHost.js';
+import { refreshAttractorOverlay } from '../render/attractorOverlay.js';
+import { CONFIG } from '../config/config.js';
+import { ATTRACTOR_MODES, ATTRACTOR_FILTERS } from '../model/attractor.js';
+import { LIFE_STAGES } from '../model/lifecycle.js';
+import { getSymbols, startSymbolEpoch } from '../model/symbols.js';
+import { on, EVENTS } from '../model/events.js';
 import { log, moduleTag } from '../utils/utilities.js';
 
 // ============================================================
 // STYLE HANDLERS
 // ============================================================
 let style = null;
-export function handleFlat() {
-    flat();
-    style = 'flat';
+
+/**
+ * Apply an appearance preset here and in the simulation worker
+ * @param {string} preset - 'flat', 'ball', or 'bubble'
+ */
+export function setAppearanceStyle(preset) {
+    style = setAppearance(preset);
+    mirror('setAppearance', style);
     syncAppearanceUI();
     triggerUpdate();
 }
 
+export function handleFlat() {
+    setAppearanceStyle('flat');
+}
+
 export function handleBall() {
-    ball();
-    style = 'ball';
-    syncAppearanceUI();
-    triggerUpdate();
+    setAppearanceStyle('ball');
 }
 
 export function handleBubble() {
-    bubble();
-    style = 'bubble';
-    syncAppearanceUI();
-    triggerUpdate();
+    setAppearanceStyle('bubble');
 }
 
 // ============================================================
@@ -57,6 +67,42 @@ function handleGlow(enabled) {
     triggerUpdate();
 }
 
+// ============================================================
+// POINTER ATTRACTOR HANDLERS
+// ============================================================
+
+/**
+ * Set a pointer attractor option here and in the simulation worker
+ * @param {string} property - CONFIG key
+ * @param {string} value - New value
+ */
+function setAttractorOption(property, value) {
+    CONFIG[property] = value;
+    mirror('setConfig', property, value);
+    refreshAttractorOverlay();
+}
+
+/**
+ * Choices for the filter value: names or life stages
+ * @returns {Array<string>|null} Choices, null if the filter takes none
+ */
+function getFilterValues() {
+    if (CONFIG.attractorFilter === 'name') return getSymbols();
+    if (CONFIG.attractorFilter === 'stage') return LIFE_STAGES;
+    return null;
+}
+
+function handleAttractorFilter(filter) {
+    setAttractorOption('attractorFilter', filter);
+
+    // Keep the value valid for the new filter
+    const values = getFilterValues();
+    if (values && !values.includes(CONFIG.attractorFilterValue)) {
+        setAttractorOption('attractorFilterValue', values[0]);
+    }
+    syncAttractorPalette();
+}
+
 // ============================================================
 // UPDATE RADIO BUTTONS TO MATCH CURRENT STATE
 // ============================================================
@@ -167,6 +213,40 @@ export function setupAppearanceModal() {
 
     container.appendChild(overlaysSection);
 
+    // --- Pointer Attractor Section ---
+    const attractorSection = makeSection('Pointer Attractor');
+    Object.entries(ATTRACTOR_MODES).forEach(([mode, { label }]) => {
+        attractorSection.appendChild(
+            makeRadio(
+                `attractor-mode-${mode}`,
+                label,
+                CONFIG.attractorMode === mode,
+                () => setAttractorOption('attractorMode', mode),
+                'attractor-mode'
+            )
+        );
+    });
+
+    const filterRow = document.createElement('div');
+    filterRow.style.display = 'flex';
+    filterRow.style.gap = '5px';
+    filterRow.style.marginTop = '8px';
+    filterRow.append(
+        makeSelect('attractor-filter', handleAttractorFilter),
+        makeSelect('attractor-filter-value', (value) =>
+            setAttractorOption('attractorFilterValue', value)
+        )
+    );
+    attractorSection.appendChild(filterRow);
+
+    const modifierHint = document.createElement('div');
+    modifierHint.textContent = 'Hold Shift to repel, Alt for a vortex';
+    modifierHint.style.fontSize = '12px';
+    modifierHint.style.marginTop = '8px';
+    attractorSection.appendChild(modifierHint);
+
+    container.appendChild(attractorSection);
+
     // --- Background Section ---
     const backgroundSection = makeSection('Background');
 
@@ -196,7 +276,15 @@ export function setupAppearanceModal() {
 
     // --- Initial sync ---
     syncAppearanceUI();
+    syncAttractorPalette();
     document.getElementById('background-dark').checked = true;
+
+    // Name choices follow the symbol set of each new epoch (the engine
+    // may run in the worker, so switch this thread's set as well)
+    on(EVENTS.RESET, () => {
+        startSymbolEpoch();
+        syncAttractorPalette();
+    });
 }
 
 // ============================================================
@@ -239,6 +327,40 @@ export function syncAppearanceUI() {
     }
 }
 
+/**
+ * Show the pointer attractor options of CONFIG in the palette
+ * Called on changes and whenever CONFIG was replaced (snapshots)
+ */
+export function syncAttractorPalette() {
+    for (const mode of Object.keys(ATTRACTOR_MODES)) {
+        const radio = document.getElementById(`attractor-mode-${mode}`);
+        if (radio) radio.checked = CONFIG.attractorMode === mode;
+    }
+
+    const filterSelect = document.getElementById('attractor-filter');
+    if (filterSelect) {
+        setOptions(
+            filterSelect,
+            Object.entries(ATTRACTOR_FILTERS).map(([value, { label }]) => ({
+                value,
+                label,
+            })),
+            CONFIG.attractorFilter
+        );
+    }
+
+    const valueSelect = document.getElementById('attractor-filter-value');
+    if (valueSelect) {
+        const values = getFilterValues();
+        valueSelect.style.display = values ? '' : 'none';
+        setOptions(
+            valueSelect,
+            (values ?? []).map((value) => ({ value, label: value })),
+            CONFIG.attractorFilterValue
+        );
+    }
+}
+
 // ============================================================
 // HELPERS
 // ============================================================
@@ -256,13 +378,13 @@ function makeSection(title) {
     return div;
 }
 
-function makeRadio(id, label, checked, fn) {
+function makeRadio(id, label, checked, fn, name = 'appearance-style') {
     const wrapper = document.createElement('div');
     wrapper.style.display = 'flex';
     wrapper.style.alignItems = 'center';
     const input = document.createElement('input');
     input.type = 'radio';
-    input.name = 'appearance-style';
+    input.name = name;
     input.id = id;
     input.checked = checked;
     input.onchange = fn;
@@ -293,6 +415,24 @@ function makeCheckbox(id, label, checked, fn) {
     return wrapper;
 }
 
+function makeSelect(id, fn) {
+    const select = document.createElement('select');
+    select.id = id;
+    select.className = 'param-select';
+    select.onchange = () => fn(select.value);
+    return select;
+}
+
+function setOptions(select, options, value) {
+    select.innerHTML = options
+        .map(
+            (option) =>
+                `<option value="${option.value}">${option.label}</option>`
+        )
+        .join('');
+    select.value = value;
+}
+
 function makeButton(label, fn) {
     const b = document.createElement('button');
     b.textContent = label;
@@ -303,6 +443,9 @@ function makeButton(label, fn) {
 }
 
 function triggerUpdate() {
+    // Overlay toggles live in the renderer, which may run in the worker
+    mirror('setVisualToggles', getVisualToggles());
+
     if (typeof window.updateVisuals === 'function') {
         window.updateVisuals();
     }
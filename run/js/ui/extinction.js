@@ -0,0 +1,86 @@
+// ============================================================
+// EXTINCTION DIALOG
+// ============================================================
+// Under the 'pause' extinction policy (model/extinction.js) the engine
+// pauses when the last digit dies. This shows the epoch summary and
+// starts a new epoch on request; resuming with the pause button starts
+// one as well, and closes the dialog.
+// ============================================================
+
+import { state } from '../model/state.js';
+import { on, EVENTS } from '../model/events.js';
+import { invoke } from '../control/simulationHost.js';
+import { toggleModal, showPausedState } from './ui.js';
+import { log, moduleTag } from '../utils/utilities.js';
+
+// ============================================================
+// SUMMARY
+// ============================================================
+
+const SUMMARY_ROWS = [
+    { label: 'Epoch', value: (s) => s.epoch },
+    { label: 'Ended because', value: (s) => s.label },
+    { label: 'Duration', value: (s) => `${s.durationSec.toFixed(1)} s` },
+    { label: 'Peak population', value: (s) => s.peakPopulation },
+    { label: 'Digits lived', value: (s) => s.lived },
+    {
+        label: 'Breeding stopped',
+        value: (s) =>
+            s.declineTick === null ? '–' : `tick ${s.declineTick}`,
+    },
+];
+
+/**
+ * Close the dialog and start a new epoch
+ */
+function startNewEpoch() {
+    toggleModal('extinctionModal', false);
+    invoke('restartSimulation');
+    state.paused = false;
+    showPausedState(false);
+}
+
+/**
+ * Fill in and open the dialog
+ * @param {Object} summary - Epoch summary (see summarizeEpoch)
+ */
+function showSummary(summary) {
+    const container = document.getElementById('extinctionSummary');
+    if (!container) return; // Modal not in DOM (mobile)
+
+    container.innerHTML = SUMMARY_ROWS.map(
+        ({ label, value }) => `
+            <div class="stats-summary-label">${label}</div>
+            <div class="stats-summary-value">${value(summary)}</div>
+        `
+    ).join('');
+
+    const newEpochBtn = document.getElementById('newEpochBtn');
+    if (newEpochBtn) newEpochBtn.onclick = startNewEpoch;
+
+    toggleModal('extinctionModal', true);
+}
+
+// ============================================================
+// SETUP
+// ============================================================
+
+/**
+ * Show the summary whenever the engine pauses on extinction, and hide
+ * it once a new epoch starts
+ */
+export function setupExtinctionDialog() {
+    on(EVENTS.EXTINCTION, ({ policy, summary }) => {
+        if (policy !== 'pause') return;
+
+        // The engine paused itself (possibly in the worker)
+        state.paused = true;
+        showPausedState(true);
+        showSummary(summary);
+    });
+
+    // Resumed without the dialog: the engine started the new epoch
+    on(EVENTS.RESET, () => toggleModal('extinctionModal', false));
+}
+
+log(`[${moduleTag(import.meta)}] loaded`);
@@ -0,0 +1,208 @@
+// ============================================================
+// FIELD OBJECTS UI
+// ============================================================
+// "Field Objects" modal: choose what a click on the canvas places
+// (the held pointer attractor, an attractor or a repulsor) and edit or
+// delete the placed objects (CONFIG.fieldObjects, see
+// model/fieldObjects.js). Placing and dragging happen on the canvas
+// (control/attractorInput.js); every change goes through
+// commitFieldObjects, which mirrors it to the engine.
+// ============================================================
+
+import {
+    commitFieldObjects,
+    getPlacementTool,
+    onFieldObjectsChange,
+    setPlacementTool,
+} from '../control/attractorInput.js';
+import {
+    FALLOFF_CURVES,
+    FIELD_OBJECT_KINDS,
+    getFieldObjects,
+    normalizeFieldObject,
+} from '../model/fieldObjects.js';
+import { log, moduleTag } from '../utils/utilities.js';
+
+// ============================================================
+// ACTIONS
+// ============================================================
+
+/**
+ * Change one setting of a placed object
+ * @param {number} id - Field object ID
+ * @param {string} key - Setting name
+ * @param {*} value - New value (normalized)
+ */
+function updateObject(id, key, value) {
+    const edit = (obj) => normalizeFieldObject({ ...obj, [key]: value });
+    commitFieldObjects(
+        getFieldObjects().map((obj) => (obj.id === id ? edit(obj) : obj))
+    );
+}
+
+/**
+ * Delete a placed object
+ * @param {number} id - Field object ID
+ */
+function removeObject(id) {
+    commitFieldObjects(getFieldObjects().filter((obj) => obj.id !== id));
+}
+
+// ============================================================
+// EDITOR
+// ============================================================
+
+// Placement tools: the pointer attractor or one of the object kinds
+const PLACEMENT_TOOLS = {
+    pointer: { label: 'Pointer attractor (hold)' },
+    ...FIELD_OBJECT_KINDS,
+};
+
+/**
+ * Create a button
+ * @param {string} label - Button text
+ * @param {Function} onClick - Click handler
+ * @returns {HTMLButtonElement} Button
+ */
+function makeButton(label, onClick) {
+    const button = document.createElement('button');
+    button.className = 'founders-button';
+    button.textContent = label;
+    button.addEventListener('click', onClick);
+    return button;
+}
+
+/**
+ * Create a drop-down from a { key: { label } } table
+ * @param {Object} choices - Choices by value
+ * @param {string} value - Selected value
+ * @param {Function} onChange - Called with the new value
+ * @returns {HTMLSelectElement} Drop-down
+ */
+function makeSelect(choices, value, onChange) {
+    const select = document.createElement('select');
+    select.className = 'param-select';
+    select.innerHTML = Object.entries(choices)
+        .map(
+            ([key, choice]) =>
+                `<option value="${key}">${choice.label}</option>`
+        )
+        .join('');
+    select.value = value;
+    select.addEventListener('change', () => onChange(select.value));
+    return select;
+}
+
+/**
+ * Create a number input
+ * @param {number} value - Initial value
+ * @param {number} step - Input step
+ * @param {Function} onChange - Called with the new number
+ * @returns {HTMLInputElement} Input
+ */
+function makeNumber(value, step, onChange) {
+    const input = document.createElement('input');
+    input.type = 'number';
+    input.className = 'param-input founders-input';
+    input.min = 0;
+    input.step = step;
+    input.value = value;
+    input.addEventListener('change', () => onChange(Number(input.value)));
+    return input;
+}
+
+/**
+ * Build the editor row of one placed object
+ * @param {Object} obj - Field object
+ * @returns {HTMLTableRowElement} Row
+ */
+function makeObjectRow(obj) {
+    const set = (key) => (value) => updateObject(obj.id, key, value);
+
+    const row = document.createElement('tr');
+    const cells = [
+        makeSelect(FIELD_OBJECT_KINDS, obj.kind, set('kind')),
+        makeNumber(obj.radius, 10, set('radius')),
+        makeNumber(obj.strength, 0.1, set('strength')),
+        makeSelect(FALLOFF_CURVES, obj.falloff, set('falloff')),
+        makeNumber(obj.pulseSec, 0.5, set('pulseSec')),
+        makeButton('×', () => removeObject(obj.id)),
+    ];
+
+    for (const element of cells) {
+        const cell = document.createElement('td');
+        cell.appendChild(element);
+        row.appendChild(cell);
+    }
+    return row;
+}
+
+/**
+ * Rebuild the modal from the placed objects
+ */
+export function renderFieldObjectsEditor() {
+    const container = document.getElementById('fieldObjectsModalContainer');
+    if (!container) return; // Modal not yet in DOM
+
+    container.innerHTML = '';
+
+    // --- Placement tool ---
+    const toolRow = document.createElement('div');
+    toolRow.className = 'founders-row';
+    const toolLabel = document.createElement('span');
+    toolLabel.textContent = 'Click places';
+    toolRow.append(
+        toolLabel,
+        makeSelect(PLACEMENT_TOOLS, getPlacementTool(), setPlacementTool)
+    );
+    const hint = document.createElement('div');
+    hint.className = 'field-objects-hint';
+    hint.textContent = 'Drag a placed object by its center to move it.';
+    container.append(toolRow, hint);
+
+    // --- Placed objects ---
+    const objects = getFieldObjects();
+    if (objects.length === 0) return;
+
+    const table = document.createElement('table');
+    table.className = 'founders-table';
+    table.innerHTML = `
+        <thead>
+            <tr>
+                <th>Kind</th><th>Radius</th><th>Strength</th>
+                <th>Falloff</th><th>Pulse (s)</th><th></th>
+            </tr>
+        </thead>
+    `;
+    const body = document.createElement('tbody');
+    objects.forEach((obj) => body.appendChild(makeObjectRow(obj)));
+    table.appendChild(body);
+    container.appendChild(table);
+
+    const actions = document.createElement('div');
+    actions.className = 'founders-row';
+    actions.append(makeButton('Clear All', () => commitFieldObjects([])));
+    container.appendChild(actions);
+}
+
+// ============================================================
+// SETUP
+// ============================================================
+
+/**
+ * Build the editor and keep it in step with the canvas
+ */
+export function setupFieldObjectsModal() {
+    onFieldObjectsChange(renderFieldObjectsEditor);
+    syncFieldObjectsEditor();
+}
+
+/**
+ * Show the active objects (CONFIG.fieldObjects) in the editor
+ * Called after setup and whenever CONFIG was replaced (snapshots)
+ */
+export function syncFieldObjectsEditor() {
+    renderFieldObjectsEditor();
+}
+
+log(`[${moduleTag(import.meta)}] loaded`);
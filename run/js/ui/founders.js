@@ -0,0 +1,336 @@
+// ============================================================
+// FOUNDERS UI
+// ============================================================
+// "Founders" modal: edit the founder groups (CONFIG.founders, see
+// model/founders.js), apply them with a restart, and keep named
+// founder sets in localStorage. The last applied groups are stored
+// too, so every later reset (and the next page load) starts from them.
+// ============================================================
+
+import { CONFIG } from '../config/config.js';
+import { invoke, mirror } from '../control/simulationHost.js';
+import {
+    DEFAULT_FOUNDERS,
+    FOUNDER_PLACEMENTS,
+    normalizeFounderGroup,
+} from '../model/founders.js';
+import { log, moduleTag } from '../utils/utilities.js';
+
+// ============================================================
+// CONSTANTS
+// ============================================================
+
+const STORAGE_KEYS = {
+    sets: 'dsl.founderSets', // { [set name]: groups }
+    active: 'dsl.activeFounders', // Groups applied last
+};
+
+// ============================================================
+// MODULE STATE
+// ============================================================
+
+let editing = []; // Groups shown in the editor, not yet applied
+
+// ============================================================
+// STORAGE
+// ============================================================
+
+/**
+ * Read a JSON value from localStorage
+ * @param {string} key - Storage key
+ * @param {*} fallback - Returned if missing, unreadable or blocked
+ * @returns {*} Stored value or fallback
+ */
+function readStorage(key, fallback) {
+    try {
+        const json = localStorage.getItem(key);
+        return json === null ? fallback : JSON.parse(json);
+    } catch (err) {
+        console.warn(`Could not read ${key} from localStorage:`, err);
+        return fallback;
+    }
+}
+
+/**
+ * Write a JSON value to localStorage
+ * @param {string} key - Storage key
+ * @param {*} value - JSON-serializable value
+ */
+function writeStorage(key, value) {
+    try {
+        localStorage.setItem(key, JSON.stringify(value));
+    } catch (err) {
+        console.warn(`Could not write ${key} to localStorage:`, err);
+    }
+}
+
+/**
+ * Saved founder sets by name
+ * @returns {Object} { [set name]: groups }
+ */
+function readSets() {
+    const sets = readStorage(STORAGE_KEYS.sets, {});
+    return sets && typeof sets === 'object' ? sets : {};
+}
+
+// ============================================================
+// ACTIONS
+// ============================================================
+
+/**
+ * Make the edited groups the founders of every epoch from now on
+ * Restarts the simulation so they take effect immediately
+ */
+function applyFounders() {
+    const groups = editing.map(normalizeFounderGroup);
+
+    CONFIG.founders = groups;
+    mirror('setConfig', 'founders', groups);
+    writeStorage(STORAGE_KEYS.active, groups);
+    invoke('restartSimulation');
+
+    editing = groups.map((group) => ({ ...group }));
+    renderFoundersEditor();
+}
+
+/**
+ * Store the edited groups under a name
+ * @param {string} name - Set name (overwrites an existing set)
+ */
+function saveSet(name) {
+    if (!name) {
+        alert('Enter a name for the founder set.');
+        return;
+    }
+
+    const sets = readSets();
+    sets[name] = editing.map(normalizeFounderGroup);
+    writeStorage(STORAGE_KEYS.sets, sets);
+    renderFoundersEditor(name);
+    log(`Founder set "${name}" saved`);
+}
+
+/**
+ * Put a saved set into the editor (Apply makes it active)
+ * @param {string} name - Set name
+ */
+function loadSet(name) {
+    const groups = readSets()[name];
+    if (!Array.isArray(groups)) return;
+
+    editing = groups.map((group) => ({ ...group }));
+    renderFoundersEditor(name);
+}
+
+/**
+ * Remove a saved set
+ * @param {string} name - Set name
+ */
+function deleteSet(name) {
+    const sets = readSets();
+    if (!(name in sets)) return;
+
+    delete sets[name];
+    writeStorage(STORAGE_KEYS.sets, sets);
+    renderFoundersEditor();
+}
+
+// ============================================================
+// EDITOR
+// ============================================================
+
+/**
+ * Create a button
+ * @param {string} label - Button text
+ * @param {Function} onClick - Click handler
+ * @returns {HTMLButtonElement} Button
+ */
+function makeButton(label, onClick) {
+    const button = document.createElement('button');
+    button.className = 'founders-button';
+    button.textContent = label;
+    button.addEventListener('click', onClick);
+    return button;
+}
+
+/**
+ * Create a drop-down
+ * @param {Array<Object>} options - { value, label }
+ * @param {string} value - Selected value
+ * @param {Function} onChange - Called with the new value
+ * @returns {HTMLSelectElement} Drop-down
+ */
+function makeSelect(options, value, onChange) {
+    const select = document.createElement('select');
+    select.className = 'param-select';
+    // Built as elements: saved set names are user text
+    for (const option of options) {
+        const element = document.createElement('option');
+        element.value = option.value;
+        element.textContent = option.label;
+        select.appendChild(element);
+    }
+    select.value = value;
+    select.addEventListener('change', () => onChange(select.value));
+    return select;
+}
+
+/**
+ * Create a text or number input
+ * @param {string} type - 'text' or 'number'
+ * @param {*} value - Initial value
+ * @param {Function} onChange - Called with the new value
+ * @returns {HTMLInputElement} Input
+ */
+function makeInput(type, value, onChange) {
+    const input = document.createElement('input');
+    input.type = type;
+    input.className = 'param-input founders-input';
+    input.value = value;
+    if (type === 'number') input.min = 0;
+    input.addEventListener('change', () => onChange(input.value));
+    return input;
+}
+
+/**
+ * Build the editor row of one founder group
+ * @param {Object} group - Group being edited
+ * @param {number} index - Position in the editing list
+ * @returns {HTMLTableRowElement} Row
+ */
+function makeGroupRow(group, index) {
+    const row = document.createElement('tr');
+    const cells = [
+        makeInput('text', group.name, (v) => (group.name = v)),
+        makeSelect(
+            [
+                { value: 'M', label: 'M' },
+                { value: 'F', label: 'F' },
+            ],
+            group.sex,
+            (v) => (group.sex = v)
+        ),
+        makeInput('number', group.count, (v) => (group.count = Number(v))),
+        makeSelect(
+            Object.entries(FOUNDER_PLACEMENTS).map(([value, placement]) => ({
+                value,
+                label: placement.label,
+            })),
+            group.placement,
+            (v) => (group.placement = v)
+        ),
+        makeInput('number', group.ageSec, (v) => (group.ageSec = Number(v))),
+        makeButton('×', () => {
+            editing.splice(index, 1);
+            renderFoundersEditor();
+        }),
+    ];
+
+    for (const element of cells) {
+        const cell = document.createElement('td');
+        cell.appendChild(element);
+        row.appendChild(cell);
+    }
+    return row;
+}
+
+/**
+ * Rebuild the modal from the editing list and the saved sets
+ * @param {string} [selectedSet] - Saved set to preselect
+ */
+export function renderFoundersEditor(selectedSet = '') {
+    const container = document.getElementById('foundersModalContainer');
+    if (!container) return; // Modal not yet in DOM
+
+    container.innerHTML = '';
+
+    // --- Groups ---
+    const table = document.createElement('table');
+    table.className = 'founders-table';
+    table.innerHTML = `
+        <thead>
+            <tr>
+                <th>Name</th><th>Sex</th><th>Count</th>
+                <th>Placement</th><th>Age (s)</th><th></th>
+            </tr>
+        </thead>
+    `;
+    const body = document.createElement('tbody');
+    editing.forEach((group, index) =>
+        body.appendChild(makeGroupRow(group, index))
+    );
+    table.appendChild(body);
+    container.appendChild(table);
+
+    const groupActions = document.createElement('div');
+    groupActions.className = 'founders-row';
+    groupActions.append(
+        makeButton('Add Group', () => {
+            editing.push({ ...DEFAULT_FOUNDERS[0] });
+            renderFoundersEditor();
+        }),
+        makeButton('Default Pair', () => {
+            editing = DEFAULT_FOUNDERS.map((group) => ({ ...group }));
+            renderFoundersEditor();
+        }),
+        makeButton('Apply & Restart', applyFounders)
+    );
+    container.appendChild(groupActions);
+
+    // --- Saved sets ---
+    const names = Object.keys(readSets());
+    const setSelect = makeSelect(
+        [{ value: '', label: '(saved sets)' }].concat(
+            names.map((name) => ({ value: name, label: name }))
+        ),
+        names.includes(selectedSet) ? selectedSet : '',
+        () => {}
+    );
+    const setName = makeInput('text', selectedSet, () => {});
+    setName.placeholder = 'Set name';
+
+    const loadRow = document.createElement('div');
+    loadRow.className = 'founders-row';
+    loadRow.append(
+        setSelect,
+        makeButton('Load', () => loadSet(setSelect.value)),
+        makeButton('Delete', () => deleteSet(setSelect.value))
+    );
+
+    const saveRow = document.createElement('div');
+    saveRow.className = 'founders-row';
+    saveRow.append(
+        setName,
+        makeButton('Save', () => saveSet(setName.value.trim()))
+    );
+
+    container.append(loadRow, saveRow);
+}
+
+// ============================================================
+// SETUP
+// ============================================================
+
+/**
+ * Restore the last applied founders and build the editor
+ * Runs before the engine starts, so the first epoch uses them too
+ */
+export function setupFoundersModal() {
+    const active = readStorage(STORAGE_KEYS.active, null);
+    if (Array.isArray(active)) {
+        CONFIG.founders = active.map(normalizeFounderGroup);
+    }
+
+    syncFoundersEditor();
+}
+
+/**
+ * Show the active founders (CONFIG.founders) in the editor
+ * Called after setup and whenever CONFIG was replaced (snapshots)
+ */
+export function syncFoundersEditor() {
+    editing = (CONFIG.founders ?? []).map((group) => ({ ...group }));
+    renderFoundersEditor();
+}
+
+log(`[${moduleTag(import.meta)}] loaded`);
@@ -4,6 +4,16 @@
 
 import { CONFIG } from '../config/config.js';
 import { log, moduleTag, trace } from '../utils/utilities.js';
+import { getSeed } from '../utils/random.js';
+import { invoke, mirror } from '../control/simulationHost.js';
+import { NAMING_RULES, compileExpression } from '../model/naming.js';
+import { SYMBOL_SETS } from '../model/symbols.js';
+import { MATE_PREFERENCES } from '../model/mateChoice.js';
+import { FERTILITY_CURVES } from '../model/fertility.js';
+import { KINSHIP_POLICIES } from '../model/kinship.js';
+import { POPULATION_POLICIES } from '../model/population.js';
+import { EXTINCTION_POLICIES } from '../model/extinction.js';
+import { MORTALITY_MODELS } from '../model/mortality.js';
 
 // ============================================================
 // SAFE INITIALIZATION FUNCTION
@@ -20,6 +30,28 @@ export function initializeParameters() {
         return;
     }
 
+    // --- Random Seed ---
+    parameterManager.addTextInput({
+        id: 'seed',
+        label: 'Seed',
+        value: getSeed(),
+        placeholder: 'random',
+        buttonLabel: 'Apply & Reset',
+        onSubmit: async (text) => {
+            // Empty input picks a fresh random seed
+            const seed = await invoke(
+                'reseedSimulation',
+                text === '' ? undefined : text
+            );
+            parameterManager.setInputValue('seed', seed);
+
+            // Keep the URL shareable: reloading replays the same run
+            const url = new URL(window.location.href);
+            url.searchParams.set('seed', seed);
+            window.history.replaceState(null, '', url);
+        },
+    });
+
     // --- Speed ---
     parameterManager.addSlider({
         id: 'speed',
@@ -65,20 +97,411 @@ export function initializeParameters() {
         min: 12,
         max: 96,
         step: 1,
-        //onChange: (v) => log(`Digit size changed to ${v}`),
+        onChange: (v) =>
+            document.documentElement.style.setProperty(
+                '--digit-size',
+                v + 'px'
+            ),
+    });
+
+    // --- Mutation ---
+    parameterManager.addSlider({
+        id: 'mutationRate',
+        label: 'Mutation Rate',
+        target: CONFIG,
+        property: 'mutationRate',
+        min: 0,
+        max: 1,
+        step: 0.01,
+    });
+
+    parameterManager.addSlider({
+        id: 'mutationStrength',
+        label: 'Mutation Strength',
+        target: CONFIG,
+        property: 'mutationStrength',
+        min: 0,
+        max: 0.5,
+        step: 0.01,
+    });
+
+    // --- Symbol Set ---
+    // Counts are keyed by symbol, so a new set starts a new epoch
+    parameterManager.addSelect({
+        id: 'symbolSet',
+        label: 'Symbols',
+        target: CONFIG,
+        property: 'symbolSet',
+        options: Object.entries(SYMBOL_SETS).map(([value, set]) => ({
+            value,
+            label: set.label,
+        })),
+        onChange: () => invoke('restartSimulation'),
+    });
+
+    parameterManager.addSlider({
+        id: 'symbolMax',
+        label: 'Numbers up to N',
+        target: CONFIG,
+        property: 'symbolMax',
+        min: 2,
+        max: 99,
+        step: 1,
+        onChange: () => {
+            if (CONFIG.symbolSet === 'numbers') invoke('restartSimulation');
+        },
+    });
+
+    // --- Offspring Naming ---
+    parameterManager.addSelect({
+        id: 'namingRule',
+        label: 'Naming Rule',
+        target: CONFIG,
+        property: 'namingRule',
+        options: Object.entries(NAMING_RULES).map(([value, rule]) => ({
+            value,
+            label: rule.label,
+        })),
+    });
+
+    parameterManager.addTextInput({
+        id: 'namingExpression',
+        label: 'Naming Expression',
+        value: CONFIG.namingExpression,
+        placeholder: 'a + b',
+        onSubmit: (text) => {
+            try {
+                compileExpression(text);
+            } catch (err) {
+                console.warn(`Invalid naming expression "${text}":`, err.message);
+                parameterManager.setInputValue(
+                    'namingExpression',
+                    CONFIG.namingExpression
+                );
+                return;
+            }
+            CONFIG.namingExpression = text;
+            mirror('setConfig', 'namingExpression', text);
+        },
+    });
+
+    // --- Female Mate Choice ---
+    parameterManager.addSelect({
+        id: 'matePreference',
+        label: 'Female Preference',
+        target: CONFIG,
+        property: 'matePreference',
+        options: Object.entries(MATE_PREFERENCES).map(([value, pref]) => ({
+            value,
+            label: pref.label,
+        })),
+    });
+
+    parameterManager.addSlider({
+        id: 'mateChoiceThreshold',
+        label: 'Choosiness',
+        target: CONFIG,
+        property: 'mateChoiceThreshold',
+        min: 0,
+        max: 1,
+        step: 0.05,
+    });
+
+    parameterManager.addSlider({
+        id: 'rejectionCooldownSec',
+        label: 'Rejection Cooldown',
+        target: CONFIG,
+        property: 'rejectionCooldownSec',
+        min: 0,
+        max: 10,
+        step: 0.5,
+        format: (v) => `${v}s`,
+    });
+
+    // --- Fertility and Litters ---
+    parameterManager.addSelect({
+        id: 'fertilityCurve',
+        label: 'Fertility Curve',
+        target: CONFIG,
+        property: 'fertilityCurve',
+        options: Object.entries(FERTILITY_CURVES).map(([value, curve]) => ({
+            value,
+            label: curve.label,
+        })),
+    });
+
+    parameterManager.addSlider({
+        id: 'fertilityPeak',
+        label: 'Fertility Peak',
+        target: CONFIG,
+        property: 'fertilityPeak',
+        min: 0,
+        max: 1,
+        step: 0.05,
+    });
+
+    parameterManager.addSlider({
+        id: 'twinChance',
+        label: 'Twins',
+        target: CONFIG,
+        property: 'twinChance',
+        min: 0,
+        max: 0.5,
+        step: 0.01,
+    });
+
+    parameterManager.addSlider({
+        id: 'tripletChance',
+        label: 'Triplets',
+        target: CONFIG,
+        property: 'tripletChance',
+        min: 0,
+        max: 0.2,
+        step: 0.01,
+    });
+
+    parameterManager.addSlider({
+        id: 'miscarriageChance',
+        label: 'Miscarriage',
+        target: CONFIG,
+        property: 'miscarriageChance',
+        min: 0,
+        max: 0.5,
+        step: 0.01,
+    });
+
+    // --- Pair Bonds ---
+    parameterManager.addSlider({
+        id: 'bondStayChance',
+        label: 'Stay Together',
+        target: CONFIG,
+        property: 'bondStayChance',
+        min: 0,
+        max: 1,
+        step: 0.05,
+    });
+
+    parameterManager.addSlider({
+        id: 'separationChance',
+        label: 'Separation / s',
+        target: CONFIG,
+        property: 'separationChance',
+        min: 0,
+        max: 0.5,
+        step: 0.01,
+    });
+
+    parameterManager.addSlider({
+        id: 'bondDurationSec',
+        label: 'Bond Duration',
+        target: CONFIG,
+        property: 'bondDurationSec',
+        min: 0,
+        max: 60,
+        step: 1,
+        format: (v) => (v === 0 ? 'no limit' : `${v}s`),
+    });
+
+    parameterManager.addSlider({
+        id: 'mourningSec',
+        label: 'Mourning',
+        target: CONFIG,
+        property: 'mourningSec',
+        min: 0,
+        max: 20,
+        step: 1,
+        format: (v) => `${v}s`,
+    });
+
+    // --- Kinship ---
+    parameterManager.addSelect({
+        id: 'kinshipPolicy',
+        label: 'Kinship',
+        target: CONFIG,
+        property: 'kinshipPolicy',
+        options: Object.entries(KINSHIP_POLICIES).map(([value, policy]) => ({
+            value,
+            label: policy.label,
+        })),
+    });
+
+    parameterManager.addSlider({
+        id: 'kinshipGenerations',
+        label: 'Kin Generations',
+        target: CONFIG,
+        property: 'kinshipGenerations',
+        min: 1,
+        max: 4,
+        step: 1,
+    });
+
+    // --- Juvenile Care ---
+    parameterManager.addToggle({
+        id: 'fatherCare',
+        label: 'Father Care',
+        target: CONFIG,
+        property: 'fatherCare',
+    });
+
+    parameterManager.addToggle({
+        id: 'enableAdoption',
+        label: 'Adoption',
+        target: CONFIG,
+        property: 'enableAdoption',
+    });
+
+    parameterManager.addSlider({
+        id: 'orphanMortality',
+        label: 'Orphan Mortality / s',
+        target: CONFIG,
+        property: 'orphanMortality',
+        min: 0,
+        max: 0.5,
+        step: 0.01,
+    });
+
+    // --- Numerology ---
+    parameterManager.addToggle({
+        id: 'enableNumerology',
+        label: 'Numerology',
+        target: CONFIG,
+        property: 'enableNumerology',
+    });
+
+    // --- Population Regulation ---
+    parameterManager.addSelect({
+        id: 'populationPolicy',
+        label: 'Population Policy',
+        target: CONFIG,
+        property: 'populationPolicy',
+        options: Object.entries(POPULATION_POLICIES).map(
+            ([value, policy]) => ({ value, label: policy.label })
+        ),
     });
 
-    // --- Population Cap ---
     parameterManager.addSlider({
         id: 'POP_CAP',
         label: 'Population Cap',
         target: CONFIG,
         property: 'POP_CAP',
         min: 12,
-        max: 144,
+        max: 600,
         step: 12,
         //onChange: (v) => log(`Population cap set to ${v}`),
     });
+
+    parameterManager.addSlider({
+        id: 'crowdingRadius',
+        label: 'Crowding Radius',
+        target: CONFIG,
+        property: 'crowdingRadius',
+        min: 20,
+        max: 200,
+        step: 10,
+    });
+
+    parameterManager.addSlider({
+        id: 'crowdingLimit',
+        label: 'Crowding Limit',
+        target: CONFIG,
+        property: 'crowdingLimit',
+        min: 1,
+        max: 30,
+        step: 1,
+    });
+
+    // --- Mortality ---
+    parameterManager.addSelect({
+        id: 'mortalityModel',
+        label: 'Mortality Model',
+        target: CONFIG,
+        property: 'mortalityModel',
+        options: Object.entries(MORTALITY_MODELS).map(([value, model]) => ({
+            value,
+            label: model.label,
+        })),
+    });
+
+    parameterManager.addSlider({
+        id: 'baseMortality',
+        label: 'Base Mortality (/s)',
+        target: CONFIG,
+        property: 'baseMortality',
+        min: 0,
+        max: 0.2,
+        step: 0.005,
+    });
+
+    parameterManager.addSlider({
+        id: 'mortalityDoublingSec',
+        label: 'Gompertz Doubling (s)',
+        target: CONFIG,
+        property: 'mortalityDoublingSec',
+        min: 0.5,
+        max: 10,
+        step: 0.5,
+    });
+
+    parameterManager.addSlider({
+        id: 'weibullShape',
+        label: 'Weibull Shape',
+        target: CONFIG,
+        property: 'weibullShape',
+        min: 0.5,
+        max: 6,
+        step: 0.25,
+    });
+
+    parameterManager.addSlider({
+        id: 'crowdingMortality',
+        label: 'Crowding Mortality (/s)',
+        target: CONFIG,
+        property: 'crowdingMortality',
+        min: 0,
+        max: 1,
+        step: 0.05,
+    });
+
+    parameterManager.addSlider({
+        id: 'predationRate',
+        label: 'Predation (/s)',
+        target: CONFIG,
+        property: 'predationRate',
+        min: 0,
+        max: 0.2,
+        step: 0.005,
+    });
+
+    // --- Extinction ---
+    parameterManager.addSelect({
+        id: 'extinctionPolicy',
+        label: 'On Extinction',
+        target: CONFIG,
+        property: 'extinctionPolicy',
+        options: Object.entries(EXTINCTION_POLICIES).map(
+            ([value, policy]) => ({ value, label: policy.label })
+        ),
+    });
+
+    parameterManager.addSlider({
+        id: 'extinctionDelaySec',
+        label: 'Reset Delay (s)',
+        target: CONFIG,
+        property: 'extinctionDelaySec',
+        min: 0,
+        max: 10,
+        step: 0.5,
+    });
+
+    parameterManager.addSlider({
+        id: 'immigrantCount',
+        label: 'Immigrants',
+        target: CONFIG,
+        property: 'immigrantCount',
+        min: 2,
+        max: 40,
+        step: 2,
+    });
 }
 
 // ============================================================
@@ -88,6 +511,9 @@ export function initializeParameters() {
 class ParameterManager {
     constructor() {
         this.sliders = new Map();
+        this.inputs = new Map();
+        this.toggles = new Map();
+        this.selects = new Map();
         this.container = null;
         this.initialized = false;
     }
@@ -185,6 +611,7 @@ class ParameterManager {
         slider.addEventListener('input', (e) => {
             const value = parseFloat(e.target.value);
             target[property] = value;
+            if (target === CONFIG) mirror('setConfig', property, value);
             valueDisplay.textContent = formatValue(value);
             if (onChange) onChange(value);
         });
@@ -192,11 +619,220 @@ class ParameterManager {
         log(`Added slider: ${id}`);
     }
 
+    /**
+     * Add an on/off checkbox bound to a boolean property
+     */
+    addToggle(TOGGLECONFIG) {
+        if (!this.initialized) {
+            console.error(
+                'Parameter manager not initialized. Call init() after DOM ready.'
+            );
+            return;
+        }
+
+        const { id, label, target, property, onChange = null } = TOGGLECONFIG;
+
+        if (this.toggles.has(id)) {
+            console.warn(`Toggle with id "${id}" already exists`);
+            return;
+        }
+
+        // Create toggle wrapper
+        const toggleWrapper = document.createElement('div');
+        toggleWrapper.className = 'param-slider-wrapper param-toggle-wrapper';
+        toggleWrapper.dataset.toggleId = id;
+
+        toggleWrapper.innerHTML = `
+            <div class="param-slider-label">${label}</div>
+            <input
+                type="checkbox"
+                id="paramToggle-${id}"
+                class="param-toggle"
+                ${target[property] ? 'checked' : ''}
+            />
+        `;
+
+        this.container.appendChild(toggleWrapper);
+
+        const checkbox = document.getElementById(`paramToggle-${id}`);
+
+        this.toggles.set(id, {
+            element: checkbox,
+            wrapper: toggleWrapper,
+            target,
+            property,
+        });
+
+        checkbox.addEventListener('change', (e) => {
+            const value = e.target.checked;
+            target[property] = value;
+            if (target === CONFIG) mirror('setConfig', property, value);
+            if (onChange) onChange(value);
+        });
+
+        log(`Added toggle: ${id}`);
+    }
+
+    /**
+     * Add a drop-down bound to a property
+     * options: [{ value, label }]
+     */
+    addSelect(SELECTCONFIG) {
+        if (!this.initialized) {
+            console.error(
+                'Parameter manager not initialized. Call init() after DOM ready.'
+            );
+            return;
+        }
+
+        const {
+            id,
+            label,
+            target,
+            property,
+            options,
+            onChange = null,
+        } = SELECTCONFIG;
+
+        if (this.selects.has(id)) {
+            console.warn(`Select with id "${id}" already exists`);
+            return;
+        }
+
+        // Create select wrapper
+        const selectWrapper = document.createElement('div');
+        selectWrapper.className = 'param-slider-wrapper param-input-wrapper';
+        selectWrapper.dataset.selectId = id;
+
+        selectWrapper.innerHTML = `
+            <div class="param-slider-label">${label}</div>
+            <select id="paramSelect-${id}" class="param-select">
+                ${options
+                    .map(
+                        (option) =>
+                            `<option value="${option.value}">${option.label}</option>`
+                    )
+                    .join('')}
+            </select>
+        `;
+
+        this.container.appendChild(selectWrapper);
+
+        const select = document.getElementById(`paramSelect-${id}`);
+        select.value = target[property];
+
+        this.selects.set(id, {
+            element: select,
+            wrapper: selectWrapper,
+            target,
+            property,
+        });
+
+        select.addEventListener('change', (e) => {
+            const value = e.target.value;
+            target[property] = value;
+            if (target === CONFIG) mirror('setConfig', property, value);
+            if (onChange) onChange(value);
+        });
+
+        log(`Added select: ${id}`);
+    }
+
+    /**
+     * Add a text input with an apply button
+     * onSubmit receives the trimmed text when the button is clicked or Enter is pressed
+     */
+    addTextInput(INPUTCONFIG) {
+        if (!this.initialized) {
+            console.error(
+                'Parameter manager not initialized. Call init() after DOM ready.'
+            );
+            return;
+        }
+
+        const {
+            id,
+            label,
+            value = '',
+            placeholder = '',
+            buttonLabel = 'Apply',
+            onSubmit = null,
+        } = INPUTCONFIG;
+
+        if (this.inputs.has(id)) {
+            console.warn(`Input with id "${id}" already exists`);
+            return;
+        }
+
+        // Create input wrapper
+        const inputWrapper = document.createElement('div');
+        inputWrapper.className = 'param-slider-wrapper param-input-wrapper';
+        inputWrapper.dataset.inputId = id;
+
+        inputWrapper.innerHTML = `
+            <div class="param-slider-label">${label}</div>
+            <input
+                type="text"
+                id="paramInput-${id}"
+                class="param-input"
+                placeholder="${placeholder}"
+                value="${value}"
+            />
+            <button class="param-input-button" id="paramButton-${id}">${buttonLabel}</button>
+        `;
+
+        this.container.appendChild(inputWrapper);
+
+        const input = document.getElementById(`paramInput-${id}`);
+        const button = document.getElementById(`paramButton-${id}`);
+
+        this.inputs.set(id, { element: input, wrapper: inputWrapper });
+
+        const submit = () => {
+            if (onSubmit) onSubmit(input.value.trim());
+        };
+        button.addEventListener('click', submit);
+        input.addEventListener('keydown', (e) => {
+            if (e.key === 'Enter') submit();
+        });
+
+        log(`Added input: ${id}`);
+    }
+
+    setInputValue(id, value) {
+        const inputData = this.inputs.get(id);
+        if (!inputData) return;
+        inputData.element.value = value;
+    }
+
+    /**
+     * Refresh every slider, select and toggle from its target
+     * Use after CONFIG was changed from elsewhere (e.g. a loaded snapshot)
+     */
+    syncFromTargets() {
+        for (const sliderData of this.sliders.values()) {
+            const value = sliderData.target[sliderData.property];
+            sliderData.element.value = value;
+            sliderData.valueDisplay.textContent = sliderData.format(value);
+        }
+        for (const selectData of this.selects.values()) {
+            selectData.element.value = selectData.target[selectData.property];
+        }
+        for (const toggleData of this.toggles.values()) {
+            toggleData.element.checked = Boolean(
+                toggleData.target[toggleData.property]
+            );
+        }
+    }
+
     updateValue(id, value) {
         const sliderData = this.sliders.get(id);
         if (!sliderData) return;
         sliderData.element.value = value;
         sliderData.target[sliderData.property] = value;
+        if (sliderData.target === CONFIG) {
+            mirror('setConfig', sliderData.property, value);
+        }
         sliderData.valueDisplay.textContent = sliderData.format(value);
     }
 
@@ -0,0 +1,103 @@
+// ============================================================
+// SNAPSHOT UI
+// ============================================================
+// "Save Snapshot" downloads the simulation as a .json file,
+// "Load Snapshot" uploads one and rebuilds the simulation from it.
+// ============================================================
+
+import { CONFIG, applyConfigOverrides } from '../config/config.js';
+import { invoke } from '../control/simulationHost.js';
+import { startSymbolEpoch } from '../model/symbols.js';
+import { parameterManager } from './parameters.js';
+import { syncFoundersEditor } from './founders.js';
+import { syncFieldObjectsEditor } from './fieldObjects.js';
+import { syncAttractorPalette } from './appearance.js';
+import { log, moduleTag } from '../utils/utilities.js';
+
+// ============================================================
+// SAVE
+// ============================================================
+
+/**
+ * Download the current simulation as a JSON file
+ */
+export async function saveSnapshot() {
+    const snapshot = await invoke('createSnapshot');
+    const { counters } = snapshot;
+    const json = JSON.stringify(snapshot);
+    const blob = new Blob([json], { type: 'application/json' });
+    const url = URL.createObjectURL(blob);
+
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = `dsl-snapshot-epoch${counters.resetCount + 1}-tick${
+        counters.tick
+    }.json`;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+
+    URL.revokeObjectURL(url);
+    log(`Snapshot saved (${snapshot.digits.length} digits)`);
+}
+
+// ============================================================
+// LOAD
+// ============================================================
+
+/**
+ * Restore the simulation from a snapshot file
+ * @param {File} file - JSON file chosen by the user
+ */
+export async function loadSnapshot(file) {
+    let restored;
+    try {
+        const snapshot = JSON.parse(await file.text());
+        restored = await invoke('restoreSnapshot', snapshot);
+    } catch (err) {
+        console.error(err);
+        alert(`Could not load snapshot: ${err.message}`);
+        return;
+    }
+
+    // Mirror the engine's restored CONFIG here, then reflect it in the UI
+    applyConfigOverrides(restored.config);
+    startSymbolEpoch();
+    parameterManager.syncFromTargets();
+    parameterManager.setInputValue('seed', restored.seed);
+    parameterManager.setInputValue('namingExpression', CONFIG.namingExpression);
+    syncFoundersEditor();
+    syncFieldObjectsEditor();
+    syncAttractorPalette();
+}
+
+/**
+ * Open a file picker and load the chosen snapshot
+ */
+function pickSnapshotFile() {
+    const input = document.createElement('input');
+    input.type = 'file';
+    input.accept = '.json,application/json';
+    input.addEventListener('change', () => {
+        if (input.files.length) loadSnapshot(input.files[0]);
+    });
+    input.click();
+}
+
+// ============================================================
+// SETUP
+// ============================================================
+
+/**
+ * Wire the Save/Load Snapshot menu items
+ */
+export function setupSnapshotActions() {
+    document
+        .querySelectorAll('[data-action="saveSnapshot"]')
+        .forEach((btn) => btn.addEventListener('click', saveSnapshot));
+    document
+        .querySelectorAll('[data-action="loadSnapshot"]')
+        .forEach((btn) => btn.addEventListener('click', pickSnapshotFile));
+}
+
+log(`[${moduleTag(import.meta)}] loaded`);
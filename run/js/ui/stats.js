@@ -1,10 +1,9 @@
 // ============================================================
 // STATS & UI (Safe Version)
 // ============================================================
-import { state } from '../model/state.js';
 import { log, moduleTag, trace } from '../utils/utilities.js';
-import { crossSum } from '../utils/helpers.js';
 import { NUMEROLOGY } from '../model/numerology.js';
+import { GENES } from '../model/genome.js';
 
 // ============================================================
 // CONFIG: Which stats to display
@@ -32,31 +31,28 @@ export function initStatsBar() {
     });
 }
 
+// Each value function receives the plain stats object from collectStats
+// (model/statistics.js), computed next to the engine
 export const STATS_CONFIG = [
     {
         id: 'epoch',
         label: 'Epoch',
-        value: () => state.resetCount + 1,
+        value: (stats) => stats.epoch,
+    },
+    {
+        id: 'seed',
+        label: 'Seed',
+        value: (stats) => stats.seed,
     },
     {
         id: 'elapsed',
         label: 'Elapsed Time',
-        value: () =>
-            ((Date.now() - state.resetStartTime) / 1000).toFixed(1) + 's',
+        value: (stats) => (stats.elapsed / 1000).toFixed(1) + 's',
     },
     {
         id: 'current',
         label: 'Current Value',
-        value: () => {
-            let rawTotal = 0;
-            let crossSumTotal = 0;
-            for (const d of state.digits) {
-                const digitValue = parseInt(d.name);
-                rawTotal += digitValue;
-                crossSumTotal = crossSum(crossSumTotal, digitValue);
-            }
-            return { crossSum: crossSumTotal, total: rawTotal };
-        },
+        value: (stats) => stats.currentValue,
         format: (val) =>
             `<span style="color: ${
                 NUMEROLOGY[val.crossSum]?.color || '#ffffff'
@@ -65,42 +61,64 @@ export const STATS_CONFIG = [
     {
         id: 'epochTotal',
         label: 'Epoch Total Value',
-        value: () => {
-            let rawTotal = 0;
-            let crossSumTotal = 0;
-
-            for (let n = 1; n <= 9; n++) {
-                const digit = n.toString();
-                const count =
-                    (state.epochCumulativeCounts.M[digit] || 0) +
-                    (state.epochCumulativeCounts.F[digit] || 0);
-                rawTotal += n * count;
-                for (let i = 0; i < count; i++) {
-                    crossSumTotal = crossSum(crossSumTotal, n);
-                }
-            }
-
-            // include current total to never be zero
-            let currentTotal = 0;
-            for (const d of state.digits)
-                currentTotal = crossSum(currentTotal, parseInt(d.name));
-            crossSumTotal = crossSum(crossSumTotal, currentTotal);
-            rawTotal += state.digits.reduce(
-                (sum, d) => sum + parseInt(d.name),
-                0
-            );
-
-            return { crossSum: crossSumTotal, total: rawTotal };
-        },
+        value: (stats) => stats.epochValue,
         format: (val) =>
             `<span style="color: ${
                 NUMEROLOGY[val.crossSum]?.color || '#ffffff'
             }">${val.crossSum}</span> (${val.total})`,
     },
+    {
+        id: 'rejections',
+        label: 'Rejections',
+        value: (stats) => stats.epochStats.rejections,
+    },
+    {
+        id: 'miscarriages',
+        label: 'Miscarriages',
+        value: (stats) => stats.epochStats.miscarriages,
+    },
+    {
+        id: 'pairings',
+        label: 'Pairings',
+        value: (stats) => ({ ...stats.bonds, ...stats.epochStats }),
+        format: (val) =>
+            [
+                ['Living digits with one partner ever', 'mono', val.monogamous],
+                ['Living digits with several partners', 'serial', val.serial],
+                [
+                    'Separations / widowed this epoch',
+                    'split',
+                    `${val.separations}/${val.widowed}`,
+                ],
+                [
+                    'Pairs parted after a birth this epoch',
+                    'parted',
+                    val.birthPartings,
+                ],
+            ]
+                .map(
+                    ([title, short, value]) =>
+                        `<span title="${title}">${short} ${value}</span>`
+                )
+                .join(' · '),
+    },
+    {
+        id: 'genome',
+        label: 'Avg Genome',
+        value: (stats) => stats.genome,
+        format: (genome) =>
+            Object.entries(genome)
+                .map(
+                    ([name, value]) =>
+                        `<span title="${GENES[name].label}">${
+                            GENES[name].short
+                        } ${value.toFixed(2)}</span>`
+                )
+                .join(' · '),
+    },
 ];
 
-// Update function remains the same, no changes needed
-export function updateStatsBar() {
+export function updateStatsBar(stats) {
     STATS_CONFIG.forEach(({ id, value, format }) => {
         const valueEl = document.querySelector(
             `#stat-${id} .statsbar-item-value`
@@ -108,7 +126,7 @@ export function updateStatsBar() {
         if (!valueEl) return;
 
         try {
-            const newValue = value();
+            const newValue = value(stats);
             if (format && typeof newValue === 'object') {
                 valueEl.innerHTML = format(newValue);
             } else {
@@ -126,7 +144,7 @@ export function updateStatsBar() {
 // ---------------------------
 // STATS TABLE
 // ---------------------------
-export function updateStatsTable() {
+export function updateStatsTable(stats) {
     const tbody = document.querySelector('#statsTable tbody');
     if (!tbody) return; // Table not yet in DOM
 
@@ -137,12 +155,12 @@ export function updateStatsTable() {
         maxCumulative = 0;
     const totals = { mCur: 0, fCur: 0, mCum: 0, fCum: 0 };
 
-    for (let n = 1; n <= 9; n++) {
-        const digit = n.toString();
-        const mCur = state.currentCounts.M[digit] || 0;
-        const fCur = state.currentCounts.F[digit] || 0;
-        const mCum = state.epochCumulativeCounts.M[digit] || 0;
-        const fCum = state.epochCumulativeCounts.F[digit] || 0;
+    // One row per symbol of the engine's active set (model/symbols.js)
+    for (const digit of stats.symbols) {
+        const mCur = stats.currentCounts.M[digit] || 0;
+        const fCur = stats.currentCounts.F[digit] || 0;
+        const mCum = stats.epochCumulativeCounts.M[digit] || 0;
+        const fCum = stats.epochCumulativeCounts.F[digit] || 0;
 
         rows.push({ digit, mCur, fCur, mCum, fCum });
 
@@ -212,23 +230,133 @@ export function updateStatsTable() {
 }
 
 // ---------------------------
-// GRAPH
+// STATS SUMMARY (below the table)
 // ---------------------------
 
-let graph = null;
+// Label/value rows under the stats table, same shape as STATS_CONFIG
+export const SUMMARY_CONFIG = [
+    {
+        id: 'inbreedingMean',
+        label: 'Inbreeding coefficient (mean)',
+        value: (stats) => stats.inbreeding.mean.toFixed(4),
+    },
+    {
+        id: 'inbreedingShare',
+        label: 'Inbred digits',
+        value: (stats) =>
+            `${(stats.inbreeding.inbredShare * 100).toFixed(1)}%`,
+    },
+    {
+        id: 'adoptions',
+        label: 'Adoptions this epoch',
+        value: (stats) => stats.epochStats.adoptions,
+    },
+    {
+        id: 'populationPolicy',
+        label: 'Population policy',
+        value: (stats) => stats.regulation.label,
+    },
+    {
+        id: 'culled',
+        label: 'Culled this epoch',
+        value: (stats) => stats.epochStats.culled,
+    },
+    {
+        id: 'birthsPrevented',
+        label: 'Births prevented this epoch',
+        value: (stats) => stats.epochStats.birthsPrevented,
+    },
+    {
+        id: 'mortalityModel',
+        label: 'Mortality model',
+        value: (stats) => stats.mortality.model,
+    },
+    {
+        id: 'immigrations',
+        label: 'Immigrant waves this epoch',
+        value: (stats) => stats.epochStats.immigrations,
+    },
+    {
+        id: 'lastEpoch',
+        label: 'Last epoch ended',
+        value: (stats) => {
+            const ended = stats.lastEpoch;
+            if (!ended) return '–';
+            return `${ended.label} (${ended.durationSec.toFixed(0)} s)`;
+        },
+    },
+];
+
+export function updateStatsSummary(stats) {
+    const container = document.getElementById('statsSummary');
+    if (!container) return; // Modal not yet in DOM
+
+    container.innerHTML = SUMMARY_CONFIG.map(({ id, label, value }) => {
+        let text;
+        try {
+            text = value(stats);
+        } catch (err) {
+            console.warn(`Error updating summary "${id}":`, err);
+            text = '–';
+        }
+        return `
+            <div class="stats-summary-label">${label}</div>
+            <div class="stats-summary-value">${text}</div>
+        `;
+    }).join('');
+}
+
+// ---------------------------
+// DEATHS TABLE (cause × life stage)
+// ---------------------------
+export function updateDeathsTable(stats) {
+    const table = document.getElementById('deathsTable');
+    if (!table) return; // Modal not yet in DOM
 
-export function graphValue() {
-    let rawTotalValue = 0;
-    let currentAlive = state.digits.length;
+    const { stages, causes } = stats.mortality;
+    const capitalize = (text) => text[0].toUpperCase() + text.slice(1);
 
-    for (const d of state.digits) {
-        const value = parseInt(d.name) || 0; // safely parse
-        rawTotalValue += value;
+    table.tHead.innerHTML = `
+      <tr>
+        <th>Deaths this epoch</th>
+        ${stages.map((stage) => `<th>${capitalize(stage)}</th>`).join('')}
+        <th>Total</th>
+        <th>Mean age</th>
+      </tr>
+    `;
+
+    if (causes.length === 0) {
+        table.tBodies[0].innerHTML = `
+      <tr><td colspan="${stages.length + 3}">None yet</td></tr>
+    `;
+        return;
     }
 
-    state.rawTotalValue = rawTotalValue;
-    return rawTotalValue;
-    return Math.round(rawTotalValue / currentAlive);
+    table.tBodies[0].innerHTML = causes
+        .map((entry) => {
+            const byStage = stages
+                .map((stage) => `<td>${entry.stages[stage] || ''}</td>`)
+                .join('');
+            return `
+      <tr>
+        <td>${entry.label}</td>
+        ${byStage}
+        <td><strong>${entry.total}</strong></td>
+        <td>${entry.meanAgeSec.toFixed(1)} s</td>
+      </tr>
+    `;
+        })
+        .join('');
+}
+
+// ---------------------------
+// GRAPH
+// ---------------------------
+
+let graph = null;
+
+export function graphValue(stats) {
+    return stats.currentValue.total;
 }
 
 export function initGraph() {
@@ -248,12 +376,12 @@ export function initGraph() {
     return true;
 }
 
-export function updateGraph() {
+export function updateGraph(stats) {
     if (!graph) {
         if (!initGraph()) return; // try initializing if canvas exists
     }
 
-    let valueToGraph = graphValue();
+    let valueToGraph = graphValue(stats);
     graph.updateCounter++;
     if (graph.updateCounter >= graph.updateInterval) {
         graph.data.push(valueToGraph);
@@ -320,10 +448,17 @@ export function drawGraph() {
 initGraph();
 initStatsBar();
 
-export function updateStats() {
-    updateStatsBar?.();
-    updateStatsTable?.();
-    updateGraph?.();
+/**
+ * Refresh the stats bar, table and graph
+ * @param {Object} stats - Result of collectStats (model/statistics.js)
+ */
+export function updateStats(stats) {
+    if (!stats) return;
+    updateStatsBar?.(stats);
+    updateStatsTable?.(stats);
+    updateStatsSummary?.(stats);
+    updateDeathsTable?.(stats);
+    updateGraph?.(stats);
 }
 
 log(`[${moduleTag(import.meta)}] loaded`);
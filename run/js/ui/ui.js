@@ -4,14 +4,13 @@
 
 import { log, moduleTag, trace } from '../utils/utilities.js';
 import { state } from '../model/state.js';
-import {
-    resetSimulation,
-    startSimulation,
-    stopSimulation,
-} from '../control/controls.js';
-import { initGraph, initStatsBar, updateStats } from './stats.js';
+import { invoke, mirror } from '../control/simulationHost.js';
+import { initGraph, initStatsBar } from './stats.js';
 import { initializeParameters } from './parameters.js';
 import { setupAppearanceModal } from './appearance.js';
+import { setupSnapshotActions } from './snapshot.js';
+import { setupFoundersModal } from './founders.js';
+import { setupFieldObjectsModal } from './fieldObjects.js';
 import { isMobile } from '../main.js';
 
 // ============================================================
@@ -177,6 +176,8 @@ export function setupModalManager() {
     const aboutBtn = document.getElementById('aboutBtn');
     const pauseBtn = document.getElementById('pauseBtn');
     const restartBtn = document.getElementById('restartBtn');
+    const speedSelect = document.getElementById('speedSelect');
+    const stepBtn = document.getElementById('stepBtn');
 
     if (menuBtn)
         menuBtn.addEventListener('click', () => toggleModal('menuModal', true));
@@ -188,23 +189,27 @@ export function setupModalManager() {
     if (pauseBtn) {
         pauseBtn.addEventListener('click', function () {
             state.paused = !state.paused;
-            this.innerHTML = state.paused
-                ? "<span class='icon'>▶</span><span class='label'> Resume"
-                : "<span class='icon'>⏸</span><span class='label'> Pause";
-            this.classList.toggle('paused', state.paused);
+            mirror('setPaused', state.paused);
+            showPausedState(state.paused);
         });
     }
 
+    if (speedSelect) {
+        speedSelect.value = String(state.timeScale);
+        speedSelect.addEventListener('change', () => {
+            invoke('setTimeScale', parseFloat(speedSelect.value));
+        });
+    }
+
+    if (stepBtn) {
+        stepBtn.addEventListener('click', () => invoke('stepOnce'));
+    }
+
     if (restartBtn) {
         restartBtn.addEventListener('click', () => {
-            stopSimulation();
-            resetSimulation();
-            updateStats();
-            startSimulation();
-            if (pauseBtn) {
-                pauseBtn.textContent = '⏸ Pause';
-                pauseBtn.classList.remove('paused');
-            }
+            invoke('restartSimulation');
+            state.paused = false;
+            showPausedState(false);
         });
     }
     if (isMobile()) {
@@ -221,6 +226,23 @@ export function setupModalManager() {
     }
 }
 
+/**
+ * Show the pause state in the top menu bar
+ * @param {boolean} paused - Whether the simulation is paused
+ */
+export function showPausedState(paused) {
+    const pauseBtn = document.getElementById('pauseBtn');
+    const stepBtn = document.getElementById('stepBtn');
+
+    if (pauseBtn) {
+        pauseBtn.innerHTML = paused
+            ? "<span class='icon'>▶</span><span class='label'> Resume"
+            : "<span class='icon'>⏸</span><span class='label'> Pause";
+        pauseBtn.classList.toggle('paused', paused);
+    }
+    if (stepBtn) stepBtn.disabled = !paused;
+}
+
 // ============================================================
 // READY PROMISE
 // ============================================================
@@ -234,6 +256,9 @@ export const uiReady = new Promise(async (resolve) => {
             initStatsBar();
             initializeParameters();
             setupAppearanceModal();
+            setupFoundersModal();
+            setupFieldObjectsModal();
+            setupSnapshotActions();
             blockModalClicks();
             await loadAboutText();
             log('UI fully initialized');
@@ -247,6 +272,9 @@ export const uiReady = new Promise(async (resolve) => {
         initStatsBar();
         initializeParameters();
         setupAppearanceModal();
+        setupFoundersModal();
+        setupFieldObjectsModal();
+        setupSnapshotActions();
         blockModalClicks();
         await loadAboutText();
         log('UI fully initialized');
@@ -2,6 +2,8 @@
 // SIMULATION HELPER FUNCTIONS
 // ============================================================
 
+import { random } from './random.js';
+
 export function distance(a, b) {
     return Math.hypot(a.x - b.x, a.y - b.y);
 }
@@ -19,12 +21,12 @@ export function crossSum(a, b) {
 
 export function sign() {
     // return +1 or -1
-    return Math.random() > 0.5 ? 1 : -1;
+    return random() > 0.5 ? 1 : -1;
 }
 
 export function wiggle() {
     // return random between -0.5 and 0.5
-    return Math.random() - 0.5;
+    return random() - 0.5;
 }
 
 export function applySpringPhysics(
@@ -39,8 +41,8 @@ export function applySpringPhysics(
     // applies spring physics to a digit's dx and dy
 
     if (offset) {
-        targetX += (Math.random() - 0.5) * offset;
-        targetY += (Math.random() - 0.5) * offset;
+        targetX += (random() - 0.5) * offset;
+        targetY += (random() - 0.5) * offset;
     }
 
     d.dx += (targetX - d.x) * spring;
@@ -0,0 +1,129 @@
+// ============================================================
+// RANDOM MODULE (Seeded PRNG)
+// ============================================================
+// Single source of randomness for the whole simulation.
+// Every random decision must go through random() so that two
+// runs with the same seed and config produce identical results.
+// Uses mulberry32: tiny, fast and its whole state is one 32-bit int.
+// ============================================================
+
+import { log, moduleTag } from './utilities.js';
+
+// ============================================================
+// MODULE STATE
+// ============================================================
+
+let seed = 0;
+let rngState = 0;
+
+// ============================================================
+// SEEDING
+// ============================================================
+
+/**
+ * Create a fresh random seed (the only place Math.random is allowed)
+ * @returns {number} Unsigned 32-bit seed
+ */
+export function createRandomSeed() {
+    return Math.floor(Math.random() * 0x100000000) >>> 0;
+}
+
+/**
+ * Convert user input (number or text) into an unsigned 32-bit seed
+ * Numeric strings are used as-is, any other text is hashed (FNV-1a);
+ * no input at all (undefined, null, blank) picks a fresh random seed
+ * @param {number|string} [value] - Seed value from URL, UI or code
+ * @returns {number} Unsigned 32-bit seed
+ */
+export function parseSeed(value) {
+    const text = String(value ?? '').trim();
+    if (text === '') return createRandomSeed();
+    if (/^\d+$/.test(text)) return Number(text) >>> 0;
+
+    let hash = 0x811c9dc5;
+    for (let i = 0; i < text.length; i++) {
+        hash ^= text.charCodeAt(i);
+        hash = Math.imul(hash, 0x01000193);
+    }
+    return hash >>> 0;
+}
+
+/**
+ * Seed the generator and restart its sequence
+ * @param {number|string} [value] - Seed value (see parseSeed)
+ * @returns {number} The seed actually applied
+ */
+export function setSeed(value) {
+    seed = parseSeed(value);
+    rngState = seed;
+    log(`Random seed set to ${seed}`);
+    return seed;
+}
+
+/**
+ * Get the seed the current sequence was started from
+ * @returns {number} Unsigned 32-bit seed
+ */
+export function getSeed() {
+    return seed;
+}
+
+// ============================================================
+// STATE ACCESS (for snapshots)
+// ============================================================
+
+/**
+ * Get the internal generator state
+ * @returns {Object} Serializable state {seed, state}
+ */
+export function getRngState() {
+    return { seed, state: rngState };
+}
+
+/**
+ * Restore a state previously returned by getRngState
+ * @param {Object} saved - Saved state {seed, state}
+ */
+export function setRngState(saved) {
+    seed = saved.seed >>> 0;
+    rngState = saved.state >>> 0;
+}
+
+// ============================================================
+// GENERATORS
+// ============================================================
+
+/**
+ * Next pseudo-random number, drop-in replacement for Math.random()
+ * @returns {number} Float in [0, 1)
+ */
+export function random() {
+    rngState = (rngState + 0x6d2b79f5) >>> 0;
+    let t = rngState;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+}
+
+/**
+ * Random float between min (inclusive) and max (exclusive)
+ * @param {number} min - Lower bound
+ * @param {number} max - Upper bound
+ * @returns {number} Random float
+ */
+export function randomRange(min, max) {
+    return min + random() * (max - min);
+}
+
+/**
+ * Random angle in radians
+ * @returns {number} Float in [0, 2π)
+ */
+export function randomAngle() {
+    return random() * Math.PI * 2;
+}
+
+// Start with an unpredictable seed until one is set explicitly
+setSeed(createRandomSeed());
+
+log(`[${moduleTag(import.meta)}] loaded`);
@@ -4,7 +4,7 @@
 
 // --- Logging ---
 export function log(...messages) {
-    if (window.DEV) console.log(...messages);
+    if (globalThis.DEV) console.log(...messages);
 }
 
 // --- Log all public config params ---
@@ -1,9 +1,19 @@
 // rollup.config.js
-export default {
-  input: 'js/main.js',       // entry point
-  output: {
-    file: 'dist/dsl.bundle.js', // output bundle
-    format: 'es',             // immediately-invoked function for browsers
-    sourcemap: true             // generate source map
+export default [
+  {
+    input: 'js/main.js',       // entry point
+    output: {
+      file: 'dist/dsl.bundle.js', // output bundle
+      format: 'es',             // immediately-invoked function for browsers
+      sourcemap: true             // generate source map
+    }
+  },
+  {
+    input: 'js/simulationWorker.js', // worker entry point (loaded by main.js)
+    output: {
+      file: 'dist/simulationWorker.js', // next to the main bundle
+      format: 'es',             // module worker
+      sourcemap: true
+    }
   }
-};
+];